@@ -7,22 +7,32 @@ const NotificationManager = require('./features/notifications');
 const BranchManager = require('./features/branches');
 const DeletedBranchesProvider = require('./features/deletedBranchesProvider');
 const StashManager = require('./features/stash');
-const { throttle } = require('./features/performanceOptimizer');
+const { throttle, debounce } = require('./features/performanceOptimizer');
 const { showImportIssuesDialog } = require('./features/importIssues');
+const { getLogger } = require('./features/logger');
+const { GITEA_SCHEME, GiteaFileSystemProvider, RemoteRepositoryBrowser } = require('./features/remoteFileSystem');
+const { isFilterActive, describeFilter, editIssueFilter } = require('./features/issueFilters');
 
 /**
  * @param {vscode.ExtensionContext} context
  */
 async function activate(context) {
     try {
+        // API requests and diagnostics are written to the "Gitea" output channel
+        context.subscriptions.push(getLogger());
+
         // Initialize authentication
-        const auth = new GiteaAuth();
+        const auth = new GiteaAuth(context);
+
+        // Receive OAuth2 redirects from the browser (vscode://TerenceCarrera.gitea/oauth/callback)
+        context.subscriptions.push(vscode.window.registerUriHandler(auth.oauth));
+
         await auth.initialize();
 
         // Initialize tree providers
         const repositoryProvider = new RepositoryProvider(auth);
-        const issueProvider = new IssueProvider(auth);
-        const pullRequestProvider = new PullRequestProvider(auth);
+        const issueProvider = new IssueProvider(auth, context.workspaceState);
+        const pullRequestProvider = new PullRequestProvider(auth, context.workspaceState);
 
         // Initialize webview providers
         const prWebviewProvider = new PullRequestWebviewProvider(auth);
@@ -41,6 +51,15 @@ async function activate(context) {
         // Initialize branch manager
         const branchManager = new BranchManager(auth, context);
 
+        // Browse repositories without cloning through gitea:// URIs
+        const remoteFileSystem = new GiteaFileSystemProvider(auth);
+        const remoteBrowser = new RemoteRepositoryBrowser(auth, remoteFileSystem);
+        context.subscriptions.push(
+            vscode.workspace.registerFileSystemProvider(GITEA_SCHEME, remoteFileSystem, { isCaseSensitive: true, isReadonly: true }),
+            remoteFileSystem,
+            remoteBrowser
+        );
+
         // Initialize deleted branches provider
         const deletedBranchesProvider = new DeletedBranchesProvider(branchManager, repositoryProvider);
 
@@ -65,7 +84,21 @@ async function activate(context) {
         // Update status bar with current profile
         const updateStatusBar = () => {
             const activeProfile = auth.activeProfile || 'default';
+            if (auth.isTokenRejected()) {
+                giteaStatusBar.text = `$(warning) Gitea: ${activeProfile}`;
+                giteaStatusBar.tooltip = 'Gitea rejected this profile\'s token. Click to Sign In Again';
+                giteaStatusBar.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+                giteaStatusBar.command = 'gitea.reauthenticate';
+                giteaStatusBar.show();
+                return;
+            }
             giteaStatusBar.text = `$(account) Gitea: ${activeProfile}`;
+            giteaStatusBar.backgroundColor = undefined;
+            giteaStatusBar.tooltip = auth.profileSource === 'remote'
+                ? 'Profile selected from this workspace\'s git remotes. Click to Switch Gitea Profile/Account'
+                : auth.profileSource === 'workspace'
+                    ? 'Profile pinned for this workspace. Click to Switch Gitea Profile/Account'
+                    : 'Click to Switch Gitea Profile/Account';
             giteaStatusBar.command = 'gitea.switchProfile';
             giteaStatusBar.show();
         };
@@ -73,6 +106,67 @@ async function activate(context) {
         // Initial status bar update
         updateStatusBar();
 
+        // Follow automatic profile changes (e.g. a folder from another instance was added)
+        context.subscriptions.push(auth.onDidChangeActiveProfile(() => {
+            throttledRefresh();
+            updateStatusBar();
+        }));
+
+        // Warn in the status bar while a token is rejected, and reload the views after signing in again
+        context.subscriptions.push(auth.onDidChangeTokenState(({ rejected }) => {
+            updateStatusBar();
+            if (!rejected) {
+                throttledRefresh();
+            }
+        }));
+
+        // Commands the token's scopes rule out are disabled; this item says why
+        const scopeStatusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 999);
+        scopeStatusBar.name = 'Gitea Token Scopes';
+        scopeStatusBar.text = '$(lock) Gitea: Limited Token';
+        scopeStatusBar.command = 'gitea.configure';
+        context.subscriptions.push(scopeStatusBar);
+        const updateScopeStatusBar = () => {
+            const explanations = auth.getScopeExplanations();
+            if (explanations.length === 0) {
+                scopeStatusBar.hide();
+                return;
+            }
+            scopeStatusBar.tooltip = `${explanations.join('\n')}\nClick to Update the Token`;
+            scopeStatusBar.show();
+        };
+        updateScopeStatusBar();
+        context.subscriptions.push(auth.onDidChangeCapabilities(updateScopeStatusBar));
+
+        // Writes already dropped the stale cache entries; reload the views that show them.
+        // Debounced so a bulk import reloads once at the end instead of once per issue.
+        const pendingWrites = { repositories: false, issues: false };
+        const refreshAfterWrite = debounce(() => {
+            if (pendingWrites.repositories) repositoryProvider.refresh();
+            if (pendingWrites.issues) {
+                issueProvider.refresh();
+                pullRequestProvider.refresh();
+            }
+            pendingWrites.repositories = false;
+            pendingWrites.issues = false;
+        }, 500);
+        context.subscriptions.push(auth.onDidWrite(({ endpoint }) => {
+            const path = endpoint.split('?')[0];
+            if (/^\/api\/v1\/repos\/[^/]+\/[^/]+\/(issues|pulls)/.test(path)) pendingWrites.issues = true;
+            if (path.endsWith('/repos')) pendingWrites.repositories = true;
+            refreshAfterWrite();
+        }));
+
+        // Added or removed folders and edited remotes change which repositories (and profile nodes) the views show
+        context.subscriptions.push(auth.workspaceRepositories.onDidChange(() => throttledRefresh()));
+
+        // Saved queries are top-level nodes of the Issues view
+        context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('gitea.issueQueries')) {
+                issueProvider.refresh();
+            }
+        }));
+
         // Dispose status bar when extension deactivates
         context.subscriptions.push(giteaStatusBar);
 
@@ -97,6 +191,23 @@ async function activate(context) {
             showCollapseAll: true
         });
 
+        // Mark views that show cached data while an instance is unreachable, and reload them once it is back
+        const updateOfflineMessage = () => {
+            const since = auth.getOfflineSince();
+            const message = since
+                ? `Offline: showing data cached ${new Date(since).toLocaleString()}`
+                : undefined;
+            for (const treeView of [repositoryTreeView, issueTreeView, pullRequestTreeView]) {
+                treeView.message = message;
+            }
+        };
+        context.subscriptions.push(auth.onDidChangeConnectivity(({ offline }) => {
+            updateOfflineMessage();
+            if (!offline) {
+                throttledRefresh();
+            }
+        }));
+
     // Register commands
 
     // Configuration command
@@ -107,7 +218,7 @@ async function activate(context) {
             issueProvider.refresh();
             pullRequestProvider.refresh();
         } catch (error) {
-            console.error('Failed to configure Gitea:', error);
+            getLogger().error('Failed to configure Gitea:', error);
             vscode.window.showErrorMessage(`Failed to configure Gitea: ${error.message}`);
         }
     });
@@ -132,10 +243,14 @@ async function activate(context) {
             });
 
             if (query) {
-                await repositoryProvider.searchRepositories(query);
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Searching repositories...',
+                    cancellable: true
+                }, (progress, cancellationToken) => repositoryProvider.searchRepositories(query, cancellationToken));
             }
         } catch (error) {
-            console.error('Failed to search repositories:', error);
+            getLogger().error('Failed to search repositories:', error);
             vscode.window.showErrorMessage(`Failed to search repositories: ${error.message}`);
         }
     });
@@ -155,19 +270,86 @@ async function activate(context) {
             }
 
             const query = await vscode.window.showInputBox({
-                prompt: 'Search issues',
-                placeHolder: 'Enter search query...'
+                prompt: 'Search issues in all repositories you can access',
+                placeHolder: 'Keywords and qualifiers, e.g. crash is:open label:bug author:me repo:owner/name'
             });
 
             if (query) {
-                await issueProvider.searchIssues(query);
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Searching issues...',
+                    cancellable: true
+                }, (progress, cancellationToken) => issueProvider.searchIssues(query, cancellationToken));
             }
         } catch (error) {
-            console.error('Failed to search issues:', error);
+            getLogger().error('Failed to search issues:', error);
             vscode.window.showErrorMessage(`Failed to search issues: ${error.message}`);
         }
     });
 
+    // Show the active issue filter next to the view title and offer to clear it
+    const applyIssueFilter = (filter) => {
+        issueProvider.resetSearch();
+        issueProvider.setFilter(filter);
+        issueTreeView.description = isFilterActive(filter) ? describeFilter(filter) : undefined;
+        vscode.commands.executeCommand('setContext', 'gitea.issueFilterActive', isFilterActive(filter));
+    };
+
+    // Filter issues by label, milestone, assignee, author or mentions
+    const filterIssuesCommand = vscode.commands.registerCommand('gitea.filterIssues', async () => {
+        if (!auth.isConfigured()) {
+            vscode.window.showWarningMessage('Gitea is not configured. Please configure first.');
+            return;
+        }
+
+        try {
+            const getRepos = async () => {
+                const repos = [];
+                for (const profile of await auth.getWorkspaceProfiles()) {
+                    const profileRepos = auth.workspaceRepositories.filter(await auth.client.listMyRepos({ profile }) || []);
+                    repos.push(...profileRepos.map(repo => ({ owner: repo.owner.login, name: repo.name, profile })));
+                }
+                return repos;
+            };
+            const filter = await editIssueFilter(auth, issueProvider.filter, getRepos);
+            if (filter) {
+                applyIssueFilter(filter);
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to filter issues: ${error.message}`);
+        }
+    });
+
+    const clearIssueFilterCommand = vscode.commands.registerCommand('gitea.clearIssueFilter', () => {
+        applyIssueFilter({});
+    });
+
+    // Sort and group the Issues and Pull Requests views; the choice is kept per view for this workspace
+    const sortIssuesCommand = vscode.commands.registerCommand('gitea.sortIssues', async () => {
+        if (await issueProvider.viewOptions.pickSort()) issueProvider.refresh();
+    });
+
+    const groupIssuesCommand = vscode.commands.registerCommand('gitea.groupIssues', async () => {
+        if (await issueProvider.viewOptions.pickGroupBy()) issueProvider.refresh();
+    });
+
+    const sortPullRequestsCommand = vscode.commands.registerCommand('gitea.sortPullRequests', async () => {
+        if (await pullRequestProvider.viewOptions.pickSort()) pullRequestProvider.refresh();
+    });
+
+    const groupPullRequestsCommand = vscode.commands.registerCommand('gitea.groupPullRequests', async () => {
+        if (await pullRequestProvider.viewOptions.pickGroupBy()) pullRequestProvider.refresh();
+    });
+
+    // "Load more…" nodes at the end of an expanded Closed section
+    const loadMoreIssuesCommand = vscode.commands.registerCommand('gitea.loadMoreIssues', group => {
+        if (group) return issueProvider.loadMore(group);
+    });
+
+    const loadMorePullRequestsCommand = vscode.commands.registerCommand('gitea.loadMorePullRequests', group => {
+        if (group) return pullRequestProvider.loadMore(group);
+    });
+
     // Search pull requests command
     const searchPullRequestsCommand = vscode.commands.registerCommand('gitea.searchPullRequests', async () => {
         try {
@@ -183,15 +365,19 @@ async function activate(context) {
             }
 
             const query = await vscode.window.showInputBox({
-                prompt: 'Search pull requests',
-                placeHolder: 'Enter search query...'
+                prompt: 'Search pull requests in all repositories you can access',
+                placeHolder: 'Keywords and qualifiers, e.g. crash is:open label:bug author:me repo:owner/name'
             });
 
             if (query) {
-                await pullRequestProvider.searchPullRequests(query);
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Searching pull requests...',
+                    cancellable: true
+                }, (progress, cancellationToken) => pullRequestProvider.searchPullRequests(query, cancellationToken));
             }
         } catch (error) {
-            console.error('Failed to search pull requests:', error);
+            getLogger().error('Failed to search pull requests:', error);
             vscode.window.showErrorMessage(`Failed to search pull requests: ${error.message}`);
         }
     });
@@ -206,7 +392,7 @@ async function activate(context) {
             issueProvider.refresh();
             pullRequestProvider.refresh();
         } catch (error) {
-            console.error('Failed to refresh repositories:', error);
+            getLogger().error('Failed to refresh repositories:', error);
             vscode.window.showErrorMessage(`Failed to refresh: ${error.message}`);
         }
     });
@@ -218,23 +404,40 @@ async function activate(context) {
                 vscode.window.showWarningMessage('Gitea is not configured. Please configure first.');
                 return;
             }
+            // Stopping is always allowed; starting needs read access to issues and repositories
+            if (!getNotificationManager().isMonitoring && !(await auth.requireFeature('notifications'))) {
+                return;
+            }
             await getNotificationManager().toggleMonitoring();
         } catch (error) {
-            console.error('Failed to toggle notifications:', error);
+            getLogger().error('Failed to toggle notifications:', error);
             vscode.window.showErrorMessage(`Failed to toggle notifications: ${error.message}`);
         }
     });
 
+    // Replace the credentials of a profile whose token was rejected
+    const reauthenticateCommand = vscode.commands.registerCommand('gitea.reauthenticate', async () => {
+        await auth.reauthenticate();
+        updateStatusBar();
+    });
+
+    // Show the "Gitea" output channel
+    const showLogsCommand = vscode.commands.registerCommand('gitea.showLogs', () => {
+        getLogger().show();
+    });
+
     // Get notification status command
     const notificationStatusCommand = vscode.commands.registerCommand('gitea.notificationStatus', () => {
         try {
             const status = getNotificationManager().getStatus();
-            const message = status.isMonitoring
-                ? `Notifications enabled (polling every ${status.pollInterval / 1000}s)`
-                : 'Notifications disabled';
+            const message = status.paused
+                ? 'Notifications paused until you sign in to Gitea again'
+                : status.isMonitoring
+                    ? `Notifications enabled (polling every ${status.pollInterval / 1000}s)`
+                    : 'Notifications disabled';
             vscode.window.showInformationMessage(message);
         } catch (error) {
-            console.error('Failed to get notification status:', error);
+            getLogger().error('Failed to get notification status:', error);
             vscode.window.showErrorMessage(`Failed to get notification status: ${error.message}`);
         }
     });
@@ -253,7 +456,7 @@ async function activate(context) {
 
         // Get organizations
         try {
-            const orgs = await auth.makeRequest('/api/v1/user/orgs');
+            const orgs = await auth.client.listMyOrgs();
             let selectedOrg = null;
 
             if (orgs && orgs.length > 1) {
@@ -293,21 +496,13 @@ async function activate(context) {
                 placeHolder: 'Enter description...'
             });
 
-            const endpoint = selectedOrg 
-                ? `/api/v1/orgs/${selectedOrg.username}/repos`
-                : '/api/v1/user/repos';
-            
-            await auth.makeRequest(endpoint, {
-                method: 'POST',
-                body: {
-                    name: repoName,
-                    description: repoDesc || '',
-                    private: false
-                }
-            });
+            await auth.client.createRepo({
+                name: repoName,
+                description: repoDesc || '',
+                private: false
+            }, selectedOrg ? selectedOrg.username : null);
 
             vscode.window.showInformationMessage(`Repository "${repoName}" created successfully!`);
-            repositoryProvider.refresh();
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create repository: ${error.message}`);
         }
@@ -320,9 +515,13 @@ async function activate(context) {
             return;
         }
 
+        if (!(await auth.requireFeature('createIssue'))) return;
+
         try {
-            const repos = await auth.makeRequest('/api/v1/user/repos');
-            const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+            // The scope check above is for the active profile's token, so the issue is created with it
+            const profile = auth.activeProfile;
+            const repos = await auth.client.listMyRepos({ profile });
+            const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
             if (workspaceRepos.length === 0) {
                 vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -330,10 +529,7 @@ async function activate(context) {
             }
 
             // Show WebView creation form
-            await issueWebviewProvider.showCreateIssue(workspaceRepos);
-            
-            // Refresh after creation
-            setTimeout(() => issueProvider.refresh(), 1000);
+            await issueWebviewProvider.showCreateIssue(workspaceRepos, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create issue: ${error.message}`);
         }
@@ -341,19 +537,18 @@ async function activate(context) {
 
         // Import issues from XLSX command
         const importIssuesCommand = vscode.commands.registerCommand('gitea.importIssues', async () => {
-            console.log('[DEBUG] Import Issues command triggered');
-
             if (!auth.isConfigured()) {
                 vscode.window.showWarningMessage('Gitea is not configured. Please configure first.');
                 return;
             }
 
+            if (!(await auth.requireFeature('importIssues'))) return;
+
             try {
-                console.log('[DEBUG] Fetching repositories...');
-                const repos = await auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+                const repos = await auth.client.listMyRepos();
+                const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
-                console.log(`[DEBUG] Found ${workspaceRepos.length} workspace repositories`);
+                getLogger().debug(`Import issues: ${workspaceRepos.length} workspace repositories`);
 
                 if (workspaceRepos.length === 0) {
                     vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -361,13 +556,9 @@ async function activate(context) {
                 }
 
                 // Show import dialog
-                console.log('[DEBUG] Showing import dialog...');
                 await showImportIssuesDialog(auth, workspaceRepos);
-
-                // Refresh after import
-                setTimeout(() => issueProvider.refresh(), 1000);
             } catch (error) {
-                console.error('[ERROR] Import issues command failed:', error);
+                getLogger().error('Import issues command failed:', error);
                 vscode.window.showErrorMessage(`Failed to import issues: ${error.message}`);
             }
         });
@@ -449,6 +640,38 @@ async function activate(context) {
         }
     });
 
+    // Browse a repository without cloning it
+    const browseRemoteRepositoryCommand = vscode.commands.registerCommand('gitea.browseRemoteRepository', async (item) => {
+        if (!auth.isConfigured()) {
+            vscode.window.showWarningMessage('Gitea is not configured. Please configure first.');
+            return;
+        }
+
+        try {
+            await remoteBrowser.browse(item);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to browse repository: ${error.message}`);
+        }
+    });
+
+    // Switch a remote repository folder or file to another branch or tag
+    const switchRemoteRefCommand = vscode.commands.registerCommand('gitea.switchRemoteRef', async (uri) => {
+        try {
+            await remoteBrowser.switchRef(uri);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to switch branch or tag: ${error.message}`);
+        }
+    });
+
+    // Clone the repository of a remote folder or file
+    const cloneRemoteRepositoryCommand = vscode.commands.registerCommand('gitea.cloneRemoteRepository', async (uri) => {
+        try {
+            await remoteBrowser.clone(uri);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to clone repository: ${error.message}`);
+        }
+    });
+
     // Open repository in browser
     const openInBrowserCommand = vscode.commands.registerCommand('gitea.openInBrowser', async (item) => {
         if (!item || !item.repository) {
@@ -499,9 +722,13 @@ async function activate(context) {
             return;
         }
 
+        if (!(await auth.requireFeature('createPullRequest'))) return;
+
         try {
-            const repos = await auth.makeRequest('/api/v1/user/repos');
-            const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+            // The scope check above is for the active profile's token, so the pull request is created with it
+            const profile = auth.activeProfile;
+            const repos = await auth.client.listMyRepos({ profile });
+            const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
             if (workspaceRepos.length === 0) {
                 vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -509,10 +736,7 @@ async function activate(context) {
             }
 
             // Show WebView creation form
-            await prCreationProvider.showCreatePullRequest(workspaceRepos);
-            
-            // Refresh after creation
-            setTimeout(() => pullRequestProvider.refresh(), 1000);
+            await prCreationProvider.showCreatePullRequest(workspaceRepos, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create pull request: ${error.message}`);
         }
@@ -530,8 +754,8 @@ async function activate(context) {
                 repoName = item.repository.full_name;
             } else {
                 // Prompt user to select repository
-                const repos = await auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+                const repos = await auth.client.listMyRepos();
+                const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
                 
                 if (workspaceRepos.length === 0) {
                     vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -549,11 +773,89 @@ async function activate(context) {
             
             await branchManager.switchBranch(repoName);
         } catch (error) {
-            console.error('Failed to switch branch:', error);
+            getLogger().error('Failed to switch branch:', error);
             vscode.window.showErrorMessage(`Failed to switch branch: ${error.message}`);
         }
     });
 
+    // Check out a branch, tag or commit from the Repositories view
+    const checkoutRefCommand = vscode.commands.registerCommand('gitea.checkoutRef', async (item) => {
+        if (!item || !item.ref) return;
+
+        try {
+            const repoPath = auth.workspaceRepositories.findLocalRepository(item.repository);
+            if (!repoPath) {
+                vscode.window.showWarningMessage(`${item.ref.repository} is not cloned in this workspace.`);
+                return;
+            }
+            await branchManager.checkoutRef(repoPath, item.ref.name, item.ref.kind);
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+        }
+    });
+
+    // Compare a branch, tag or commit with the default branch
+    const compareRefCommand = vscode.commands.registerCommand('gitea.compareRef', async (item) => {
+        if (!item || !item.ref) return;
+
+        const repository = item.repository;
+        const base = repository.default_branch;
+        const head = item.ref.name;
+        const webUrl = `${repository.html_url}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+
+        try {
+            // Older servers have no compare API; their web UI can still show the comparison
+            if (await auth.getServerFeatureExplanation('compare', item.ref.profile)) {
+                await vscode.env.openExternal(vscode.Uri.parse(webUrl));
+                return;
+            }
+
+            const [owner, repo] = repository.full_name.split('/');
+            const comparison = await auth.client.compare(owner, repo, base, head, { profile: item.ref.profile, priority: 'high' });
+            const commits = comparison?.commits || [];
+            if (commits.length === 0) {
+                vscode.window.showInformationMessage(`${head} has no commits that are not on ${base}.`);
+                return;
+            }
+
+            const selected = await vscode.window.showQuickPick(
+                [
+                    ...commits.map(commit => ({
+                        label: `$(git-commit) ${commit.commit?.message?.split('\n')[0] || commit.sha}`,
+                        description: `${commit.sha.substring(0, 7)} • ${commit.commit?.author?.name || ''}`,
+                        url: commit.html_url
+                    })),
+                    { label: '$(globe) Open comparison in browser', url: webUrl }
+                ],
+                { placeHolder: `${comparison.total_commits ?? commits.length} commit(s) in ${head} that are not on ${base}` }
+            );
+            if (selected?.url) {
+                await vscode.env.openExternal(vscode.Uri.parse(selected.url));
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to compare ${head} with ${base}: ${error.message}`);
+        }
+    });
+
+    // Copy the commit SHA a branch, tag or commit points to
+    const copyRefShaCommand = vscode.commands.registerCommand('gitea.copyRefSha', async (item) => {
+        if (!item || !item.ref || !item.ref.sha) return;
+
+        await vscode.env.clipboard.writeText(item.ref.sha);
+        vscode.window.showInformationMessage('Commit SHA copied to clipboard');
+    });
+
+    // Open a branch, tag, release or commit in the browser
+    const openRefInBrowserCommand = vscode.commands.registerCommand('gitea.openRefInBrowser', async (item) => {
+        if (!item || !item.ref || !item.ref.htmlUrl) return;
+
+        try {
+            await vscode.env.openExternal(vscode.Uri.parse(item.ref.htmlUrl));
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to open browser: ${error.message}`);
+        }
+    });
+
     // Create branch from issue command
     const createBranchFromIssueCommand = vscode.commands.registerCommand('gitea.createBranchFromIssue', async (treeItem) => {
         try {
@@ -565,9 +867,9 @@ async function activate(context) {
             const repoName = treeItem.metadata.repository;
             const issueNumber = treeItem.metadata.number;
             
-            await branchManager.createBranchFromIssue(repoName, issueNumber);
+            await branchManager.createBranchFromIssue(repoName, issueNumber, treeItem.metadata.profile);
         } catch (error) {
-            console.error('Failed to create branch from issue:', error);
+            getLogger().error('Failed to create branch from issue:', error);
             vscode.window.showErrorMessage(`Failed to create branch from issue: ${error.message}`);
         }
     });
@@ -583,9 +885,9 @@ async function activate(context) {
             const repoName = treeItem.metadata.repository;
             const prNumber = treeItem.metadata.number;
             
-            await branchManager.createBranchFromPullRequest(repoName, prNumber);
+            await branchManager.createBranchFromPullRequest(repoName, prNumber, treeItem.metadata.profile);
         } catch (error) {
-            console.error('Failed to create branch from PR:', error);
+            getLogger().error('Failed to create branch from PR:', error);
             vscode.window.showErrorMessage(`Failed to create branch from PR: ${error.message}`);
         }
     });
@@ -594,8 +896,8 @@ async function activate(context) {
         const deleteBranchCommand = vscode.commands.registerCommand('gitea.deleteBranch', async () => {
             try {
                 // Prompt user to select repository
-                const repos = await auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+                const repos = await auth.client.listMyRepos();
+                const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
                 if (workspaceRepos.length === 0) {
                     vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -652,7 +954,7 @@ async function activate(context) {
 
                 await branchManager.deleteBranch(repoPath, selectedBranch.value, deleteType.value);
             } catch (error) {
-                console.error('Failed to delete branch:', error);
+                getLogger().error('Failed to delete branch:', error);
                 vscode.window.showErrorMessage(`Failed to delete branch: ${error.message}`);
             }
         });
@@ -661,8 +963,8 @@ async function activate(context) {
         const restoreDeletedBranchCommand = vscode.commands.registerCommand('gitea.restoreDeletedBranch', async () => {
             try {
                 // Prompt user to select repository
-                const repos = await auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+                const repos = await auth.client.listMyRepos();
+                const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
                 if (workspaceRepos.length === 0) {
                     vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -678,7 +980,7 @@ async function activate(context) {
 
                 await branchManager.showDeletedBranches(selectedRepo.value);
             } catch (error) {
-                console.error('Failed to restore deleted branch:', error);
+                getLogger().error('Failed to restore deleted branch:', error);
                 vscode.window.showErrorMessage(`Failed to restore deleted branch: ${error.message}`);
             }
         });
@@ -687,8 +989,8 @@ async function activate(context) {
         const restoreBranchFromReflogCommand = vscode.commands.registerCommand('gitea.restoreBranchFromReflog', async () => {
             try {
                 // Prompt user to select repository
-                const repos = await auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = repositoryProvider.filterRepositoriesByWorkspace(repos || []);
+                const repos = await auth.client.listMyRepos();
+                const workspaceRepos = auth.workspaceRepositories.filter(repos || []);
 
                 if (workspaceRepos.length === 0) {
                     vscode.window.showWarningMessage('No repositories found in workspace.');
@@ -705,7 +1007,7 @@ async function activate(context) {
                 await branchManager.restoreFromReflog(selectedRepo.value);
                 deletedBranchesProvider.refresh();
             } catch (error) {
-                console.error('Failed to restore branch from reflog:', error);
+                getLogger().error('Failed to restore branch from reflog:', error);
                 vscode.window.showErrorMessage(`Failed to restore branch from reflog: ${error.message}`);
             }
         });
@@ -742,7 +1044,7 @@ async function activate(context) {
                     vscode.window.showInformationMessage('Commit SHA copied to clipboard');
                 }
             } catch (error) {
-                console.error('Failed to show deleted branch details:', error);
+                getLogger().error('Failed to show deleted branch details:', error);
                 vscode.window.showErrorMessage(`Failed to show details: ${error.message}`);
             }
         });
@@ -763,7 +1065,7 @@ async function activate(context) {
                     deletedBranchesProvider.refresh();
                 }
             } catch (error) {
-                console.error('Failed to restore branch from tree:', error);
+                getLogger().error('Failed to restore branch from tree:', error);
                 vscode.window.showErrorMessage(`Failed to restore branch: ${error.message}`);
             }
         });
@@ -789,7 +1091,7 @@ async function activate(context) {
                     vscode.window.showInformationMessage(`Removed "${treeItem.branchName}" from history`);
                 }
             } catch (error) {
-                console.error('Failed to remove from history:', error);
+                getLogger().error('Failed to remove from history:', error);
                 vscode.window.showErrorMessage(`Failed to remove from history: ${error.message}`);
             }
         });
@@ -811,7 +1113,7 @@ async function activate(context) {
                     vscode.window.showInformationMessage('Deletion history cleared');
                 }
             } catch (error) {
-                console.error('Failed to clear deletion history:', error);
+                getLogger().error('Failed to clear deletion history:', error);
                 vscode.window.showErrorMessage(`Failed to clear history: ${error.message}`);
             }
         });
@@ -826,7 +1128,7 @@ async function activate(context) {
             try {
                 await branchManager.exportDeletionHistory();
             } catch (error) {
-                console.error('Failed to export deletion history:', error);
+                getLogger().error('Failed to export deletion history:', error);
                 vscode.window.showErrorMessage(`Failed to export deletion history: ${error.message}`);
             }
         });
@@ -837,7 +1139,7 @@ async function activate(context) {
                 await branchManager.importDeletionHistory();
                 deletedBranchesProvider.refresh();
             } catch (error) {
-                console.error('Failed to import deletion history:', error);
+                getLogger().error('Failed to import deletion history:', error);
                 vscode.window.showErrorMessage(`Failed to import deletion history: ${error.message}`);
             }
         });
@@ -854,11 +1156,10 @@ async function activate(context) {
                     throttledRefresh();
 
                     // Update status bar with new profile
-                    const activeProfile = auth.activeProfile || 'default';
-                    giteaStatusBar.text = `$(account) Gitea: ${activeProfile}`;
+                    updateStatusBar();
                 }
             } catch (error) {
-                console.error('Failed to add profile:', error);
+                getLogger().error('Failed to add profile:', error);
                 vscode.window.showErrorMessage(`Failed to add profile: ${error.message}`);
             }
         });
@@ -868,7 +1169,7 @@ async function activate(context) {
             try {
                 await stashManager.manageStashes();
             } catch (error) {
-                console.error('Failed to manage stashes:', error);
+                getLogger().error('Failed to manage stashes:', error);
                 vscode.window.showErrorMessage(`Failed to manage stashes: ${error.message}`);
             }
         });
@@ -883,21 +1184,56 @@ async function activate(context) {
                     throttledRefresh();
 
                     // Update status bar with new profile
-                    const activeProfile = auth.activeProfile || 'default';
-                    giteaStatusBar.text = `$(account) Gitea: ${activeProfile}`;
+                    updateStatusBar();
                 }
             } catch (error) {
-                console.error('Failed to switch profile:', error);
+                getLogger().error('Failed to switch profile:', error);
                 vscode.window.showErrorMessage(`Failed to switch profile: ${error.message}`);
             }
         });
 
+        // Set workspace profile command
+        const setWorkspaceProfileCommand = vscode.commands.registerCommand('gitea.setWorkspaceProfile', async () => {
+            try {
+                const profiles = auth.listProfiles();
+                if (profiles.length === 0) {
+                    vscode.window.showInformationMessage('No profiles configured. Please configure one first.');
+                    return;
+                }
+
+                const pinned = vscode.workspace.getConfiguration('gitea').inspect('workspaceProfile')?.workspaceValue;
+                const selected = await vscode.window.showQuickPick([
+                    {
+                        label: pinned ? 'Automatic' : '$(check) Automatic',
+                        description: 'Match git remotes, then fall back to the active profile',
+                        profileName: null
+                    },
+                    ...profiles.map(profile => ({
+                        label: pinned === profile.name ? `$(check) ${profile.name}` : profile.name,
+                        description: profile.url,
+                        profileName: profile.name
+                    }))
+                ], { placeHolder: 'Select the profile to use for this workspace' });
+
+                if (!selected) return;
+
+                const previousProfile = auth.activeProfile;
+                await auth.setWorkspaceProfile(selected.profileName);
+                if (auth.activeProfile === previousProfile) {
+                    updateStatusBar();
+                }
+            } catch (error) {
+                getLogger().error('Failed to set workspace profile:', error);
+                vscode.window.showErrorMessage(`Failed to set workspace profile: ${error.message}`);
+            }
+        });
+
         // Remove profile command
         const removeProfileCommand = vscode.commands.registerCommand('gitea.removeProfile', async () => {
             try {
                 await auth.removeProfile();
             } catch (error) {
-                console.error('Failed to remove profile:', error);
+                getLogger().error('Failed to remove profile:', error);
                 vscode.window.showErrorMessage(`Failed to remove profile: ${error.message}`);
             }
         });
@@ -912,14 +1248,28 @@ async function activate(context) {
         searchRepositoriesCommand,
         searchIssuesCommand,
         searchPullRequestsCommand,
+        filterIssuesCommand,
+        clearIssueFilterCommand,
+        sortIssuesCommand,
+        groupIssuesCommand,
+        sortPullRequestsCommand,
+        groupPullRequestsCommand,
+        loadMoreIssuesCommand,
+        loadMorePullRequestsCommand,
         refreshRepositoriesCommand,
         toggleNotificationsCommand,
         notificationStatusCommand,
+        showLogsCommand,
+        reauthenticateCommand,
         createRepositoryCommand,
         createIssueCommand,
         importIssuesCommand,
         createPullRequestCommand,
         switchBranchCommand,
+        checkoutRefCommand,
+        compareRefCommand,
+        copyRefShaCommand,
+        openRefInBrowserCommand,
         createBranchFromIssueCommand,
         createBranchFromPRCommand,
         deleteBranchCommand,
@@ -935,8 +1285,12 @@ async function activate(context) {
         addProfileCommand,
         manageStashCommand,
         switchProfileCommand,
+        setWorkspaceProfileCommand,
         removeProfileCommand,
         openRepositoryCommand,
+        browseRemoteRepositoryCommand,
+        switchRemoteRefCommand,
+        cloneRemoteRepositoryCommand,
         openInBrowserCommand,
         openIssueInBrowserCommand,
         openPullRequestInBrowserCommand,
@@ -947,10 +1301,10 @@ async function activate(context) {
     const viewIssueDetailsCommand = vscode.commands.registerCommand('gitea.viewIssueDetails', async (treeItem) => {
         try {
             if (treeItem && treeItem.metadata) {
-                await issueWebviewProvider.showIssue(treeItem.metadata.number, treeItem.metadata.repository);
+                await issueWebviewProvider.showIssue(treeItem.metadata.number, treeItem.metadata.repository, treeItem.metadata.profile);
             }
         } catch (error) {
-            console.error('Failed to view issue details:', error);
+            getLogger().error('Failed to view issue details:', error);
             vscode.window.showErrorMessage(`Failed to view issue details: ${error.message}`);
         }
     });
@@ -959,10 +1313,10 @@ async function activate(context) {
     const viewPullRequestDetailsCommand = vscode.commands.registerCommand('gitea.viewPullRequestDetails', async (treeItem) => {
         try {
             if (treeItem && treeItem.metadata) {
-                await prWebviewProvider.showPullRequest(treeItem.metadata.number, treeItem.metadata.repository);
+                await prWebviewProvider.showPullRequest(treeItem.metadata.number, treeItem.metadata.repository, treeItem.metadata.profile);
             }
         } catch (error) {
-            console.error('Failed to view pull request details:', error);
+            getLogger().error('Failed to view pull request details:', error);
             vscode.window.showErrorMessage(`Failed to view pull request details: ${error.message}`);
         }
     });
@@ -980,13 +1334,15 @@ async function activate(context) {
             if (config.get('enableNotifications')) {
                 // Defer notification startup to avoid blocking extension activation
                 setTimeout(() => {
+                    // Scope probing has usually finished by now
+                    if (!auth.canUse('notifications')) return;
                     getNotificationManager().startMonitoring().catch(err => {
-                        console.error('Failed to start notifications:', err);
+                        getLogger().error('Failed to start notifications:', err);
                     });
                 }, 2000); // 2 second delay
             }
         } catch (error) {
-            console.error('Failed to start notifications:', error);
+            getLogger().error('Failed to start notifications:', error);
             // Don't show error to user as this is an optional feature
         }
     }
@@ -999,7 +1355,7 @@ async function activate(context) {
                     notificationManager.stopMonitoring();
                 }
             } catch (error) {
-                console.error('Failed to stop notifications:', error);
+                getLogger().error('Failed to stop notifications:', error);
             }
         })
     );
@@ -1015,7 +1371,7 @@ async function activate(context) {
             }
         }
     } catch (error) {
-        console.error('Failed to activate Gitea extension:', error);
+        getLogger().error('Failed to activate Gitea extension:', error);
         vscode.window.showErrorMessage(`Failed to activate Gitea extension: ${error.message}`);
     }
 }
@@ -1,81 +1,999 @@
 const vscode = require('vscode');
 const https = require('https');
 const http = require('http');
-const { CacheManager } = require('./performanceOptimizer');
+const os = require('os');
+const { CacheManager, RequestScheduler } = require('./performanceOptimizer');
+const GiteaOAuth = require('./oauth');
+const WorkspaceRepositories = require('./workspaceRepositories');
+const { getAgent, clearAgentCache } = require('./network');
+const OfflineCache = require('./offlineCache');
+const GiteaClient = require('./giteaClient');
+const { AuthError, RateLimitError, NetworkError, CancelledError, createHttpError, createNetworkError } = require('./errors');
+const { getLogger, redactHeaders, redactUrl, logRequest } = require('./logger');
+
+// Tokens live in SecretStorage under this prefix followed by the profile name
+const TOKEN_SECRET_PREFIX = 'gitea.token.';
+// OAuth refresh tokens and expiry live under this prefix followed by the profile name
+const OAUTH_SECRET_PREFIX = 'gitea.oauth.';
+// Refresh OAuth access tokens slightly before they actually expire
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // 1 minute
+
+// Methods that are safe to repeat after a 5xx or network failure (`idempotent: true` opts others in)
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Longest `Retry-After` we wait out before giving up on a rate-limited request
+const MAX_RETRY_AFTER = 60 * 1000; // 1 minute
+// Per-profile proxy/certificate settings that survive re-running configure
+const CONNECTION_SETTINGS = ['caCertificatePath', 'allowSelfSigned', 'clientCertificatePath', 'clientKeyPath'];
+// Used when `gitea.requestTimeout` is not set
+const DEFAULT_REQUEST_TIMEOUT = 30 * 1000; // 30 seconds
+// Used when `gitea.maxConcurrentRequests` is not set
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 4;
+// Used when `gitea.pageSize` is not set
+const DEFAULT_PAGE_SIZE = 50;
+// How long GET responses are served from memory before the server is asked again (entries with an
+// ETag/Last-Modified are then revalidated). Writes through `makeRequest()` drop affected entries early.
+const DEFAULT_CACHE_TTL = 1000; // 1 second
+const CACHE_TTLS = [
+    { pattern: /^\/api\/v1\/(version|settings\/api)$/, ttl: 60 * 60 * 1000 }, // 1 hour
+    { pattern: /^\/api\/v1\/user(\/orgs)?$|\/labels$/, ttl: 5 * 60 * 1000 }, // 5 minutes
+    { pattern: /^\/api\/v1\/user\/repos$|\/branches$/, ttl: 30 * 1000 } // 30 seconds
+];
+// Caps on the in-memory response cache; the least recently used entries are dropped first
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_CACHE_SIZE = 32 * 1024 * 1024; // 32 MB
+// How often an unreachable instance is checked while views show cached data
+const OFFLINE_PROBE_INTERVAL = 30 * 1000; // 30 seconds
+
+// Read-only requests used to discover the token's effective scopes. Write scopes are never probed,
+// since that takes a real write; they are learned from the server's answer when a write is rejected.
+const SCOPE_PROBES = {
+    'read:repository': '/api/v1/user/repos?limit=1',
+    'read:issue': '/api/v1/repos/issues/search?limit=1',
+    'read:notification': '/api/v1/notifications/new'
+};
+
+// Scopes tracked in the capability map
+const KNOWN_SCOPES = ['read:repository', 'write:repository', 'read:issue', 'write:issue', 'read:notification'];
+
+// Scopes each gated feature needs, with a label used in explanations
+const FEATURE_SCOPES = {
+    createIssue: { label: 'create issues', scopes: ['write:issue'] },
+    importIssues: { label: 'import issues', scopes: ['write:issue'] },
+    createPullRequest: { label: 'create pull requests', scopes: ['write:repository'] },
+    mergePullRequest: { label: 'merge, close, update or review pull requests', scopes: ['write:repository'] },
+    comment: { label: 'comment on issues and pull requests', scopes: ['write:issue'] },
+    // The poller reads issue, pull request and commit lists
+    notifications: { label: 'monitor repository activity', scopes: ['read:issue', 'read:repository'] }
+};
+
+// Scopes of tokens created from a username and password: what the features above and the views
+// read (user, organizations, notifications), nothing more. Write scopes include read access.
+const PASSWORD_TOKEN_SCOPES = ['write:repository', 'write:issue', 'read:user', 'read:organization', 'read:notification'];
+
+// Endpoints missing from older Gitea releases, with the release that added them and a label for explanations.
+// `onItem` endpoints hang off an issue or pull request that was just loaded, so a 404 from them means the
+// server has no such route; a comparison also answers 404 for a deleted branch.
+const SERVER_FEATURES = {
+    pullRequestReviews: { label: 'Pull request reviews', minVersion: '1.12.0', onItem: true },
+    pullRequestUpdate: { label: 'Pull request branch updates', minVersion: '1.12.0', onItem: true },
+    issueTimeline: { label: 'Issue timelines', minVersion: '1.15.0', onItem: true },
+    pullRequestCommits: { label: 'Pull request commit lists', minVersion: '1.17.0', onItem: true },
+    pullRequestFiles: { label: 'Pull request file lists', minVersion: '1.18.0', onItem: true },
+    compare: { label: 'Branch comparisons', minVersion: '1.20.0', onItem: false }
+};
+
+/**
+ * Time to live of a cached GET response
+ * @param {string} endpoint - API endpoint, with or without query
+ * @returns {number} Milliseconds
+ */
+function getCacheTtl(endpoint) {
+    const path = endpoint.split('?')[0];
+    return CACHE_TTLS.find(({ pattern }) => pattern.test(path))?.ttl ?? DEFAULT_CACHE_TTL;
+}
+
+/**
+ * Scopes named by a 403 scope rejection. Gitea answers
+ * `token does not have at least one of required scope(s), required=[write:issue], token scope=read:issue,read:repository`
+ * (older releases: `token does not have required scope: write:issue`).
+ * @param {Error} error - Error thrown by `sendRequest()`
+ * @returns {{required: string[], granted: Object<string, boolean>}|null} `required` are missing; `granted` maps each
+ * known scope to whether the token has it, when the server listed the token's scopes. Null for other errors.
+ */
+function getScopeRejection(error) {
+    if (error?.statusCode !== 403 || !/scope/i.test(error.message)) return null;
+    const required = error.message.match(/required=\[([^\]]*)\]/)?.[1].split(/[\s,]+/)
+        || error.message.match(/required scope:\s*([\w:]+)/)?.[1].split(',')
+        || [];
+    const tokenScopes = error.message.match(/token scope=([\w:,-]+)/)?.[1].split(',');
+    const granted = {};
+    if (tokenScopes) {
+        for (const scope of KNOWN_SCOPES) {
+            // `write:x` includes `read:x`; `all` grants everything
+            granted[scope] = tokenScopes.includes('all') || tokenScopes.includes(scope)
+                || tokenScopes.includes(scope.replace(/^read:/, 'write:'));
+        }
+    }
+    return { required: required.filter(scope => KNOWN_SCOPES.includes(scope)), granted };
+}
+
+/**
+ * Key of a cached response. Responses are kept apart per profile, since two accounts on the same
+ * instance get different data from the same URL.
+ * @param {string} profileName - Profile the request was sent with
+ * @param {string} url - Request URL, optionally with a `conditional:` prefix or `#total` suffix
+ * @returns {string}
+ */
+function getCacheKey(profileName, url) {
+    return `${profileName || ''}\n${url}`;
+}
+
+/**
+ * API paths whose cached responses a successful write to `endpoint` may have made stale;
+ * each path also covers everything below it
+ * @param {string} endpoint - Endpoint of a POST, PATCH, PUT or DELETE request
+ * @returns {string[]}
+ */
+function getStalePaths(endpoint) {
+    const path = endpoint.split('?')[0];
+    const repoRoot = /^\/api\/v1\/repos\/[^/]+\/[^/]+/.exec(path);
+    if (repoRoot) {
+        // Issues and pull requests share numbers, comments and labels, so any write can show up in either list
+        return [repoRoot[0], '/api/v1/repos/issues/search'];
+    }
+    if (path.endsWith('/repos')) {
+        // New repositories also appear in the user's list when created in an organization
+        return [path, '/api/v1/user/repos', '/api/v1/repos/search'];
+    }
+    return [path, path.slice(0, path.lastIndexOf('/'))];
+}
+
+/**
+ * Gitea release a server version corresponds to, as [major, minor, patch].
+ * Forgejo reports its own version with the Gitea one appended (`7.0.0+gitea-1.21.0`).
+ * @param {string} version - Version reported by `/api/v1/version`
+ * @returns {number[]|null}
+ */
+function parseGiteaVersion(version) {
+    const match = /gitea-(\d+)\.(\d+)\.(\d+)/.exec(version || '') || /^v?(\d+)\.(\d+)(?:\.(\d+))?/.exec(version || '');
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+/**
+ * Whether a parsed version is at least `minVersion`
+ * @param {number[]} version - Parsed version
+ * @param {string} minVersion - Version like '1.18.0'
+ */
+function isVersionAtLeast(version, minVersion) {
+    const min = parseGiteaVersion(minVersion);
+    for (let i = 0; i < 3; i++) {
+        if (version[i] !== min[i]) return version[i] > min[i];
+    }
+    return true;
+}
+
+/**
+ * Combine the `signal` and `cancellationToken` request options into one AbortSignal
+ * @param {{signal?: AbortSignal, cancellationToken?: vscode.CancellationToken}} options
+ * @returns {AbortSignal|undefined}
+ */
+function getAbortSignal(options) {
+    if (!options.cancellationToken) return options.signal;
+
+    const controller = new AbortController();
+    if (options.cancellationToken.isCancellationRequested || options.signal?.aborted) {
+        controller.abort();
+    } else {
+        const subscription = options.cancellationToken.onCancellationRequested(() => controller.abort());
+        options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        controller.signal.addEventListener('abort', () => subscription.dispose(), { once: true });
+    }
+    return controller.signal;
+}
+
+/**
+ * Wait before a retry, giving up early with CancelledError if the signal aborts
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal]
+ */
+function delayUnlessAborted(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 class GiteaAuth {
-    constructor() {
+    /**
+     * @param {vscode.ExtensionContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        this.secrets = context.secrets;
         this.instanceUrl = null;
         this.authToken = null;
         this.activeProfile = null;
+        // Where the active profile came from: 'global' setting, 'workspace' override or git 'remote' match
+        this.profileSource = 'global';
         this.profiles = {};
-        this.cache = new CacheManager(1000); // 10 second TTL for API cache
+        this._onDidChangeActiveProfile = new vscode.EventEmitter();
+        this.onDidChangeActiveProfile = this._onDidChangeActiveProfile.event;
+        // Typed API methods used by the feature modules
+        this.client = new GiteaClient(this);
+        // Repositories cloned in the workspace and the remotes they point to
+        this.workspaceRepositories = new WorkspaceRepositories();
+        // Bounds parallel requests; user actions go ahead of view loads and background polling
+        this.scheduler = new RequestScheduler(
+            vscode.workspace.getConfiguration('gitea').get('maxConcurrentRequests', DEFAULT_MAX_CONCURRENT_REQUESTS)
+        );
+        this.cache = new CacheManager(DEFAULT_CACHE_TTL, { maxEntries: MAX_CACHE_ENTRIES, maxSize: MAX_CACHE_SIZE });
+        this.oauth = new GiteaOAuth(context);
+        this._refreshing = new Map();
+        // Tokens of non-active profiles used by aggregated views, keyed by profile name
+        this._profileTokens = new Map();
+        // Effective token scopes: { 'write:issue': false, ... }; unknown scopes count as granted
+        this.capabilities = {};
+        // Server version, API settings and features found missing per profile:
+        // Map<profileName, Promise<{version, apiSettings, missingFeatures}>>
+        this.serverInfo = new Map();
+        // Last-known responses on disk, served while an instance is unreachable
+        this.offlineCache = new OfflineCache(context.globalStorageUri);
+        // Unreachable profiles and the age of the oldest cached data shown for them: { profileName: timestamp }
+        this.offline = new Map();
+        this._offlineProbe = null;
+        this._onDidChangeConnectivity = new vscode.EventEmitter();
+        this.onDidChangeConnectivity = this._onDidChangeConnectivity.event;
+        // Profiles whose token the server rejected with 401, until they sign in again or the token changes
+        this.rejectedTokens = new Set();
+        this._onDidChangeTokenState = new vscode.EventEmitter();
+        this.onDidChangeTokenState = this._onDidChangeTokenState.event;
+        // Fired after a successful POST/PATCH/PUT/DELETE: { profile, method, endpoint }
+        this._onDidWrite = new vscode.EventEmitter();
+        this.onDidWrite = this._onDidWrite.event;
+        // Fired when the capability map changes
+        this._onDidChangeCapabilities = new vscode.EventEmitter();
+        this.onDidChangeCapabilities = this._onDidChangeCapabilities.event;
     }
 
     /**
-     * Initialize authentication from VS Code settings
+     * Initialize authentication from VS Code settings and SecretStorage
      */
     async initialize() {
         try {
+            // Move any plain-text tokens out of settings.json before reading profiles
+            await this.migrateTokensToSecretStorage();
+
             const config = vscode.workspace.getConfiguration('gitea');
 
             // Load profiles
             const savedProfiles = config.get('profiles') || {};
             this.profiles = savedProfiles;
 
-            // Get active profile name
-            const profileName = config.get('activeProfile') || 'default';
+            // Get active profile name (workspace override, git remote match, then global setting)
+            const { profileName, source } = this.selectWorkspaceProfile();
+            this.profileSource = source;
 
             // Load active profile
             if (this.profiles[profileName]) {
                 this.activeProfile = profileName;
                 const profile = this.profiles[profileName];
                 this.instanceUrl = profile.instanceUrl;
-                this.authToken = profile.authToken;
+                this.authToken = await this.getToken(profileName);
             } else {
             // Try legacy configuration for backward compatibility
                 this.instanceUrl = config.get('instanceUrl');
-                this.authToken = config.get('authToken');
+                this.authToken = await this.getToken('default');
 
                 if (this.instanceUrl && this.authToken) {
                     // Migrate to profile-based system
                     this.profiles['default'] = {
-                        instanceUrl: this.instanceUrl,
-                        authToken: this.authToken
+                        instanceUrl: this.instanceUrl
                     };
                     this.activeProfile = 'default';
                     await this.saveProfiles();
                 }
             }
 
+            // Re-evaluate the profile when folders are added or removed, or a remote changes
+            this.context.subscriptions.push(this.workspaceRepositories, this.workspaceRepositories.onDidChange(() => {
+                this.reselectWorkspaceProfile().catch(error => {
+                    getLogger().error('Failed to select workspace profile:', error);
+                });
+            }));
+
+            // Rebuild proxy/certificate agents when their settings change
+            this.context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('http') || event.affectsConfiguration('gitea.profiles')) {
+                    clearAgentCache();
+                }
+                // A profile may now point at another server
+                if (event.affectsConfiguration('gitea.profiles')) {
+                    this.serverInfo.clear();
+                }
+                if (event.affectsConfiguration('gitea.maxConcurrentRequests')) {
+                    this.scheduler.concurrency = vscode.workspace.getConfiguration('gitea')
+                        .get('maxConcurrentRequests', DEFAULT_MAX_CONCURRENT_REQUESTS);
+                    this.scheduler.next();
+                }
+            }));
+
+            // Write pending offline cache entries and stop probing on deactivation
+            this.context.subscriptions.push(this.offlineCache, { dispose: () => this.stopOfflineProbe() });
+
+            // Pick up token changes made from another window
+            this.context.subscriptions.push(this.secrets.onDidChange(async (event) => {
+                this._profileTokens.clear();
+                for (const profileName of [...this.rejectedTokens]) {
+                    if (event.key === this.getTokenKey(profileName)) {
+                        this.clearTokenRejected(profileName);
+                    }
+                }
+                if (this.activeProfile && event.key === this.getTokenKey(this.activeProfile)) {
+                    this.authToken = await this.getToken(this.activeProfile);
+                    this.cache.clear();
+                }
+            }));
+
             if (!this.instanceUrl || !this.authToken) {
                 return false;
             }
 
             return await this.validateCredentials();
         } catch (error) {
-            console.error('Failed to initialize authentication:', error);
+            getLogger().error('Failed to initialize authentication:', error);
             vscode.window.showErrorMessage(`Failed to initialize Gitea authentication: ${error.message}`);
             return false;
         }
     }
 
+    /**
+     * Decide which profile this window should use
+     * @returns {{profileName: string, source: string}}
+     */
+    selectWorkspaceProfile() {
+        const config = vscode.workspace.getConfiguration('gitea');
+        const profiles = config.get('profiles') || {};
+        const globalProfile = config.get('activeProfile') || 'default';
+
+        // Explicit per-workspace override wins
+        const override = config.inspect('workspaceProfile')?.workspaceValue;
+        if (override && profiles[override]) {
+            return { profileName: override, source: 'workspace' };
+        }
+
+        if (config.get('autoSelectProfile') !== false) {
+            const matched = this.matchProfileToRemotes(profiles, globalProfile);
+            if (matched) {
+                return { profileName: matched, source: 'remote' };
+            }
+        }
+
+        return { profileName: globalProfile, source: 'global' };
+    }
+
+    /**
+     * Find the profile whose instance host matches the most workspace repository remotes
+     * @param {object} profiles - Profiles keyed by name
+     * @param {string} preferred - Profile to prefer when several match equally
+     * @returns {string|null}
+     */
+    matchProfileToRemotes(profiles, preferred) {
+        const remoteHosts = this.workspaceRepositories.getRemoteHosts();
+        if (remoteHosts.length === 0) return null;
+
+        let bestName = null;
+        let bestCount = 0;
+        for (const [name, profile] of Object.entries(profiles)) {
+            let host;
+            try {
+                host = new URL(profile.instanceUrl).hostname.toLowerCase();
+            } catch {
+                continue;
+            }
+            const count = remoteHosts.filter(remoteHost => remoteHost === host).length;
+            if (count > bestCount || (count > 0 && count === bestCount && name === preferred)) {
+                bestName = name;
+                bestCount = count;
+            }
+        }
+        return bestName;
+    }
+
+    /**
+     * Re-run profile selection (e.g. after workspace folders change) and switch if needed
+     */
+    async reselectWorkspaceProfile() {
+        const { profileName, source } = this.selectWorkspaceProfile();
+        if (profileName === this.activeProfile) {
+            this.profileSource = source;
+            return;
+        }
+        if (!this.profiles[profileName]) return;
+
+        const token = await this.getToken(profileName);
+        if (!token) return;
+
+        this.activeProfile = profileName;
+        this.profileSource = source;
+        this.instanceUrl = this.profiles[profileName].instanceUrl;
+        this.authToken = token;
+        this.cache.clear();
+        this._onDidChangeActiveProfile.fire(profileName);
+        await this.validateCredentials();
+    }
+
+    /**
+     * Pin a profile for the current workspace, or clear the pin with null
+     * @param {string|null} profileName - Profile name
+     */
+    async setWorkspaceProfile(profileName) {
+        const config = vscode.workspace.getConfiguration('gitea');
+        await config.update('workspaceProfile', profileName || undefined, vscode.ConfigurationTarget.Workspace);
+        this.profiles = config.get('profiles') || {};
+        await this.reselectWorkspaceProfile();
+    }
+
+    /**
+     * Move tokens stored in settings (profile `authToken` entries and the legacy
+     * `gitea.authToken`) into SecretStorage and scrub them from settings.json.
+     * Runs on every activation but only writes when plain-text tokens are found.
+     */
+    async migrateTokensToSecretStorage() {
+        const config = vscode.workspace.getConfiguration('gitea');
+        const targets = [
+            { scope: 'globalValue', target: vscode.ConfigurationTarget.Global },
+            { scope: 'workspaceValue', target: vscode.ConfigurationTarget.Workspace }
+        ];
+
+        for (const { scope, target } of targets) {
+            try {
+                const storedProfiles = config.inspect('profiles')?.[scope];
+                if (storedProfiles && typeof storedProfiles === 'object') {
+                    let scrubbed = false;
+                    const cleanProfiles = {};
+
+                    for (const [name, profile] of Object.entries(storedProfiles)) {
+                        const metadata = { ...profile };
+                        if (metadata.authToken) {
+                            // Never overwrite a token that was already migrated
+                            if (!(await this.getToken(name))) {
+                                await this.storeToken(name, metadata.authToken);
+                            }
+                            delete metadata.authToken;
+                            scrubbed = true;
+                        }
+                        cleanProfiles[name] = metadata;
+                    }
+
+                    if (scrubbed) {
+                        await config.update('profiles', cleanProfiles, target);
+                    }
+                }
+
+                const legacyToken = config.inspect('authToken')?.[scope];
+                if (legacyToken) {
+                    if (!(await this.getToken('default'))) {
+                        await this.storeToken('default', legacyToken);
+                    }
+                    await config.update('authToken', undefined, target);
+                }
+            } catch (error) {
+                getLogger().error(`Failed to migrate tokens from ${scope}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the SecretStorage key for a profile's token
+     * @param {string} profileName - Profile name
+     */
+    getTokenKey(profileName) {
+        return `${TOKEN_SECRET_PREFIX}${profileName}`;
+    }
+
+    /**
+     * Read a profile's token from SecretStorage
+     * @param {string} profileName - Profile name
+     * @returns {Promise<string|null>}
+     */
+    async getToken(profileName) {
+        return (await this.secrets.get(this.getTokenKey(profileName))) || null;
+    }
+
+    /**
+     * Store a profile's token in SecretStorage
+     * @param {string} profileName - Profile name
+     * @param {string} token - Personal Access Token
+     */
+    async storeToken(profileName, token) {
+        this._profileTokens.delete(profileName);
+        await this.secrets.store(this.getTokenKey(profileName), token);
+    }
+
+    /**
+     * Remove a profile's token from SecretStorage
+     * @param {string} profileName - Profile name
+     */
+    async deleteToken(profileName) {
+        this._profileTokens.delete(profileName);
+        await this.secrets.delete(this.getTokenKey(profileName));
+        await this.secrets.delete(`${OAUTH_SECRET_PREFIX}${profileName}`);
+    }
+
+    /**
+     * Store the credentials returned by `promptForCredentials()`
+     * @param {string} profileName - Profile name
+     * @param {object} credentials - `{ authType, accessToken, refreshToken?, expiresAt? }`
+     */
+    async storeCredentials(profileName, credentials) {
+        await this.storeToken(profileName, credentials.accessToken);
+        if (credentials.authType === 'oauth') {
+            await this.secrets.store(`${OAUTH_SECRET_PREFIX}${profileName}`, JSON.stringify({
+                refreshToken: credentials.refreshToken,
+                expiresAt: credentials.expiresAt
+            }));
+        } else {
+            await this.secrets.delete(`${OAUTH_SECRET_PREFIX}${profileName}`);
+        }
+        this.clearTokenRejected(profileName);
+    }
+
+    /**
+     * Build the non-secret settings entry for a profile
+     * @param {string} instanceUrl - Gitea instance URL
+     * @param {object} credentials - Credentials returned by `promptForCredentials()`
+     * @param {object} [existing] - Current entry, whose proxy/certificate settings are kept
+     */
+    buildProfileMetadata(instanceUrl, credentials, existing = {}) {
+        const metadata = { instanceUrl };
+        for (const setting of CONNECTION_SETTINGS) {
+            if (existing[setting] !== undefined) metadata[setting] = existing[setting];
+        }
+        if (credentials.authType === 'oauth') {
+            metadata.authType = 'oauth';
+            metadata.oauthClientId = credentials.oauthClientId;
+        }
+        return metadata;
+    }
+
+    /**
+     * Check whether a profile signs in through OAuth2
+     * @param {string} profileName - Profile name
+     */
+    isOAuthProfile(profileName) {
+        return this.profiles[profileName]?.authType === 'oauth';
+    }
+
+    /**
+     * Ask how to sign in and collect credentials for an instance
+     * @param {string} instanceUrl - Gitea instance URL
+     * @returns {Promise<object|null>} `{ authType, accessToken, ... }` or null when cancelled
+     */
+    async promptForCredentials(instanceUrl) {
+        const method = await vscode.window.showQuickPick([
+            {
+                label: '$(globe) Sign in with Gitea',
+                description: 'OAuth2 in your browser',
+                value: 'oauth'
+            },
+            {
+                label: '$(person) Sign in with username and password',
+                description: 'Creates a token with the permissions the extension needs',
+                value: 'password'
+            },
+            {
+                label: '$(key) Paste a Personal Access Token',
+                value: 'token'
+            }
+        ], { placeHolder: 'How would you like to sign in?' });
+
+        if (!method) return null;
+
+        if (method.value === 'password') {
+            return this.createTokenWithPassword(instanceUrl);
+        }
+
+        if (method.value === 'oauth') {
+            const clientId = await this.promptForOAuthClientId();
+            if (!clientId) return null;
+
+            const tokens = await this.oauth.authorize(instanceUrl, clientId);
+            return { authType: 'oauth', oauthClientId: clientId, ...tokens };
+        }
+
+        // Get auth token
+        const authToken = await vscode.window.showInputBox({
+            prompt: 'Enter your Personal Access Token',
+            placeHolder: 'Your Gitea Personal Access Token',
+            password: true,
+            validateInput: (value) => {
+                if (!value) return 'Token is required';
+                return null;
+            }
+        });
+
+        if (!authToken) return null;
+        return { authType: 'token', accessToken: authToken };
+    }
+
+    /**
+     * Create a Personal Access Token with `PASSWORD_TOKEN_SCOPES` from a username and password.
+     * The password (and two-factor code) is only sent with the token request and never stored.
+     * @param {string} instanceUrl - Gitea instance URL
+     * @returns {Promise<object|null>} Credentials as for `promptForCredentials()`, or null when cancelled
+     */
+    async createTokenWithPassword(instanceUrl) {
+        const username = await vscode.window.showInputBox({
+            prompt: 'Enter your Gitea username',
+            ignoreFocusOut: true,
+            validateInput: (value) => value ? null : 'Username is required'
+        });
+        if (!username) return null;
+
+        const password = await vscode.window.showInputBox({
+            prompt: `Enter the password of ${username}`,
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: (value) => value ? null : 'Password is required'
+        });
+        if (!password) return null;
+
+        const url = new URL(`/api/v1/users/${encodeURIComponent(username)}/tokens`, instanceUrl);
+        const request = {
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`,
+                'Content-Type': 'application/json'
+            },
+            // Token names must be unique per user
+            body: { name: `VS Code on ${os.hostname()} (${new Date().toISOString()})`, scopes: PASSWORD_TOKEN_SCOPES },
+            timeout: vscode.workspace.getConfiguration('gitea').get('requestTimeout', DEFAULT_REQUEST_TIMEOUT),
+            agent: getAgent(url)
+        };
+        const send = () => this.requestOnce(url, request).catch(error => {
+            throw createNetworkError(error);
+        });
+
+        let res = await send();
+        // Gitea answers a missing two-factor code with a plain 401, like a wrong password
+        if (res.statusCode === 401) {
+            const otp = await vscode.window.showInputBox({
+                prompt: 'Sign-in was rejected. If your account uses two-factor authentication, enter the code from your authenticator app; otherwise press Escape and check your username and password',
+                placeHolder: 'Two-factor authentication code',
+                ignoreFocusOut: true,
+                validateInput: (value) => /^\s*\d{6}\s*$/.test(value) ? null : 'Enter the 6-digit code'
+            });
+            if (!otp) {
+                throw new AuthError('Wrong username or password', res.statusCode, res.data);
+            }
+            request.headers['X-Gitea-OTP'] = otp.trim();
+            res = await send();
+            if (res.statusCode === 401) {
+                throw new AuthError('Wrong username, password or two-factor code', res.statusCode, res.data);
+            }
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+            throw createHttpError(res.statusCode, res.data, res.headers);
+        }
+
+        const token = JSON.parse(res.data);
+        getLogger().info(`Created access token "${token.name}" for ${username} on ${url.origin}`);
+        return { authType: 'token', accessToken: token.sha1 };
+    }
+
+    /**
+     * Ask for the OAuth2 application client ID, defaulting to `gitea.oauthClientId`
+     */
+    async promptForOAuthClientId() {
+        const config = vscode.workspace.getConfiguration('gitea');
+        const defaultClientId = config.get('oauthClientId');
+        if (defaultClientId) return defaultClientId;
+
+        return vscode.window.showInputBox({
+            prompt: `Client ID of a Gitea OAuth2 application (public client) with redirect URI ${this.oauth.getRedirectUri()}`,
+            placeHolder: 'OAuth2 Client ID',
+            ignoreFocusOut: true,
+            validateInput: (value) => {
+                if (!value) return 'Client ID is required';
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Refresh an OAuth access token if it is about to expire
+     * @param {string} profileName - Profile name
+     */
+    async ensureValidToken(profileName = this.activeProfile) {
+        if (!this.isOAuthProfile(profileName)) return;
+
+        const session = JSON.parse((await this.secrets.get(`${OAUTH_SECRET_PREFIX}${profileName}`)) || '{}');
+        if (!session.expiresAt || session.expiresAt - TOKEN_REFRESH_MARGIN > Date.now()) return;
+
+        await this.refreshOAuthToken(profileName);
+    }
+
+    /**
+     * Exchange the stored refresh token for a new access token.
+     * Concurrent callers share a single refresh request per profile.
+     * @param {string} profileName - Profile name
+     */
+    refreshOAuthToken(profileName = this.activeProfile) {
+        if (this._refreshing.has(profileName)) {
+            return this._refreshing.get(profileName);
+        }
+
+        const refresh = (async () => {
+            const profile = this.profiles[profileName];
+            const session = JSON.parse((await this.secrets.get(`${OAUTH_SECRET_PREFIX}${profileName}`)) || '{}');
+            if (!session.refreshToken) {
+                throw new AuthError(`Gitea session for profile "${profileName}" has expired. Please sign in again.`, 401);
+            }
+
+            try {
+                const tokens = await this.oauth.refresh(profile.instanceUrl, profile.oauthClientId, session.refreshToken, profile);
+                await this.storeCredentials(profileName, { authType: 'oauth', ...tokens });
+                if (profileName === this.activeProfile) {
+                    this.authToken = tokens.accessToken;
+                }
+                return tokens.accessToken;
+            } catch (error) {
+                // Socket errors carry a code; the session itself may still be valid
+                if (error.code) throw createNetworkError(error);
+                throw new AuthError(`Gitea session for profile "${profileName}" could not be refreshed (${error.message}). Please sign in again.`, 401);
+            }
+        })().finally(() => this._refreshing.delete(profileName));
+
+        this._refreshing.set(profileName, refresh);
+        return refresh;
+    }
+
+    /**
+     * Ask for credentials when a profile has none stored (e.g. on a new machine)
+     * @param {string} profileName - Profile name
+     * @returns {Promise<string|null>}
+     */
+    async promptForToken(profileName) {
+        const profile = this.profiles[profileName];
+        if (profile && this.isOAuthProfile(profileName)) {
+            const tokens = await this.oauth.authorize(profile.instanceUrl, profile.oauthClientId, profile);
+            await this.storeCredentials(profileName, { authType: 'oauth', ...tokens });
+            return tokens.accessToken;
+        }
+
+        const token = await vscode.window.showInputBox({
+            prompt: `Enter the Personal Access Token for profile "${profileName}"`,
+            placeHolder: 'Your Gitea Personal Access Token',
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: (value) => {
+                if (!value) return 'Token is required';
+                return null;
+            }
+        });
+
+        if (!token) return null;
+
+        await this.storeToken(profileName, token);
+        return token;
+    }
+
     /**
      * Validate credentials by making a test API call
      */
     async validateCredentials() {
         try {
-            const user = await this.makeRequest('/api/v1/user');
+            this.capabilities = {};
+            await this.updateScopeContext();
+            const user = await this.client.getCurrentUser();
             if (user && user.login) {
+                // Probe scopes and server version in the background so activation isn't delayed
+                this.probeScopes().catch(error => {
+                    getLogger().error('Failed to probe token scopes:', error);
+                });
+                this.serverInfo.delete(this.activeProfile);
+                this.getServerInfo(this.activeProfile).catch(error => {
+                    getLogger().error('Failed to detect server version:', error);
+                });
                 return true;
             }
             return false;
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to Authenticate with Gitea: ${error.message}`);
+            // A rejected token already prompted to sign in again
+            if (error.statusCode !== 401) {
+                vscode.window.showErrorMessage(`Failed to Authenticate with Gitea: ${error.message}`);
+            }
             return false;
         }
     }
 
+    /**
+     * Probe the token's effective scopes and gate features that need missing ones
+     * @returns {Promise<object>} Capability map keyed by scope
+     */
+    async probeScopes() {
+        const profileName = this.activeProfile;
+        const capabilities = {};
+        await Promise.all(Object.entries(SCOPE_PROBES).map(async ([scope, endpoint]) => {
+            try {
+                await this.sendRequest(endpoint);
+                capabilities[scope] = true;
+            } catch (error) {
+                // Only a scope rejection counts as missing; anything else fails open
+                const rejection = getScopeRejection(error);
+                if (!rejection) return;
+                capabilities[scope] = false;
+                // A write scope includes its read scope, so without the read scope the write one is missing too
+                const writeScope = scope.replace(/^read:/, 'write:');
+                if (KNOWN_SCOPES.includes(writeScope)) capabilities[writeScope] = false;
+                Object.assign(capabilities, rejection.granted);
+            }
+        }));
+
+        // Ignore results if the profile changed while probing
+        if (profileName !== this.activeProfile) return this.capabilities;
+
+        this.capabilities = capabilities;
+        await this.updateScopeContext();
+
+        const missingScopes = KNOWN_SCOPES.filter(scope => capabilities[scope] === false);
+        const affected = Object.keys(FEATURE_SCOPES).filter(feature => !this.canUse(feature));
+        if (missingScopes.length > 0 && affected.length > 0) {
+            const action = await vscode.window.showWarningMessage(
+                `Your Gitea token for profile "${profileName}" is missing the ${missingScopes.join(', ')} scope${missingScopes.length > 1 ? 's' : ''}. ` +
+                `You won't be able to ${affected.map(feature => FEATURE_SCOPES[feature].label).join(', ')}.`,
+                'Update Token', 'Dismiss'
+            );
+            if (action === 'Update Token') {
+                vscode.commands.executeCommand('gitea.configure');
+            }
+        }
+
+        return this.capabilities;
+    }
+
+    /**
+     * Record the scopes a rejected request revealed, so the next attempt is explained by `requireFeature()`
+     * instead of failing again
+     * @param {string} profileName - Profile the request was sent with
+     * @param {Error} error - Error thrown by `sendRequest()`
+     */
+    recordScopeRejection(profileName, error) {
+        const rejection = getScopeRejection(error);
+        // The capability map describes the active profile's token only
+        if (!rejection || profileName !== this.activeProfile) return;
+        Object.assign(this.capabilities, rejection.granted);
+        for (const scope of rejection.required) {
+            this.capabilities[scope] = false;
+        }
+        this.updateScopeContext().catch(updateError => getLogger().error('Failed to update scope context:', updateError));
+    }
+
+    /**
+     * Publish `gitea.scopeMissing.<feature>` context keys used by command enablement.
+     * Disabled commands cannot explain themselves, so listeners show `getScopeExplanations()` elsewhere.
+     */
+    async updateScopeContext() {
+        for (const feature of Object.keys(FEATURE_SCOPES)) {
+            await vscode.commands.executeCommand('setContext', `gitea.scopeMissing.${feature}`, !this.canUse(feature));
+        }
+        this._onDidChangeCapabilities.fire(this.capabilities);
+    }
+
+    /**
+     * Check whether the token has a scope (unknown scopes count as granted)
+     * @param {string} scope - Scope name, e.g. 'write:issue'
+     */
+    hasScope(scope) {
+        return this.capabilities[scope] !== false;
+    }
+
+    /**
+     * Check whether the token has every scope a feature needs
+     * @param {string} feature - Key of FEATURE_SCOPES
+     */
+    canUse(feature) {
+        return (FEATURE_SCOPES[feature]?.scopes || []).every(scope => this.hasScope(scope));
+    }
+
+    /**
+     * Explain why a feature is unavailable, or null when it can be used
+     * @param {string} feature - Key of FEATURE_SCOPES
+     */
+    getScopeExplanation(feature) {
+        if (this.canUse(feature)) return null;
+        const { label, scopes } = FEATURE_SCOPES[feature];
+        const missing = scopes.filter(scope => !this.hasScope(scope));
+        return `Your Gitea token needs the ${missing.join(', ')} scope${missing.length > 1 ? 's' : ''} to ${label}.`;
+    }
+
+    /**
+     * Explanations for every feature the token's scopes rule out
+     * @returns {string[]}
+     */
+    getScopeExplanations() {
+        return Object.keys(FEATURE_SCOPES).map(feature => this.getScopeExplanation(feature)).filter(Boolean);
+    }
+
+    /**
+     * Guard for commands run despite their enablement (`executeCommand` from URIs or other extensions):
+     * explain and offer to update the token when a scope is missing
+     * @param {string} feature - Key of FEATURE_SCOPES
+     * @returns {Promise<boolean>} true when the feature can be used
+     */
+    async requireFeature(feature) {
+        const explanation = this.getScopeExplanation(feature);
+        if (!explanation) return true;
+
+        const action = await vscode.window.showWarningMessage(explanation, 'Update Token', 'Cancel');
+        if (action === 'Update Token') {
+            await vscode.commands.executeCommand('gitea.configure');
+        }
+        return false;
+    }
+
+    /**
+     * Version and API settings of a profile's server, queried once per profile, and the server features
+     * its answers showed to be missing (see `recordServerFeatureError()`).
+     * `version` and `apiSettings` are null when the server does not answer these endpoints.
+     * @param {string} [profileName] - Profile name; defaults to the active profile
+     * @returns {Promise<{version: string|null, apiSettings: {max_response_items?: number, default_paging_num?: number}|null, missingFeatures: Set<string>}>}
+     */
+    getServerInfo(profileName) {
+        profileName = profileName || this.activeProfile;
+        if (!this.serverInfo.has(profileName)) {
+            const options = { profile: profileName };
+            const detection = Promise.all([
+                this.client.getVersion(options).then(result => result?.version || null, () => null),
+                this.client.getApiSettings(options).catch(() => null)
+            ]).then(([version, apiSettings]) => ({ version, apiSettings, missingFeatures: new Set() }));
+            this.serverInfo.set(profileName, detection);
+        }
+        return this.serverInfo.get(profileName);
+    }
+
+    /**
+     * Explain why a server feature is unavailable, or null when it can be used.
+     * What the server answered wins over its version; features count as available when the server
+     * does not report its version and has not rejected their endpoint.
+     * @param {string} feature - Key of SERVER_FEATURES
+     * @param {string} [profileName] - Profile name; defaults to the active profile
+     * @returns {Promise<string|null>}
+     */
+    async getServerFeatureExplanation(feature, profileName) {
+        const { version, missingFeatures } = await this.getServerInfo(profileName);
+        const { label, minVersion } = SERVER_FEATURES[feature];
+        if (missingFeatures.has(feature)) {
+            return `${label} are not available on this server${version ? ` (${version})` : ''}.`;
+        }
+        const parsed = parseGiteaVersion(version);
+        if (!parsed || isVersionAtLeast(parsed, minVersion)) return null;
+        return `${label} need Gitea ${minVersion} or newer; this server runs ${version}.`;
+    }
+
+    /**
+     * Remember a server feature as missing when a request to its endpoint shows the server has no such
+     * route (405, or 404 for endpoints of an item that exists), e.g. on a fork or a server that hides its version
+     * @param {string} feature - Key of SERVER_FEATURES
+     * @param {Error} error - Error thrown by the request
+     * @param {string} [profileName] - Profile name; defaults to the active profile
+     * @returns {Promise<boolean>} Whether the feature is now known to be missing
+     */
+    async recordServerFeatureError(feature, error, profileName) {
+        const missing = error.statusCode === 405 || (error.statusCode === 404 && SERVER_FEATURES[feature].onItem);
+        if (missing) {
+            (await this.getServerInfo(profileName)).missingFeatures.add(feature);
+        }
+        return missing;
+    }
+
     /**
      * Configure Gitea instance and authentication
      */
@@ -99,18 +1017,9 @@ class GiteaAuth {
 
             if (!instanceUrl) return;
 
-            // Get auth token
-            const authToken = await vscode.window.showInputBox({
-                prompt: 'Enter your Personal Access Token',
-                placeHolder: 'Your Gitea Personal Access Token',
-                password: true,
-                validateInput: (value) => {
-                    if (!value) return 'Token is required';
-                    return null;
-                }
-            });
-
-            if (!authToken) return;
+            // Get credentials (OAuth sign-in or pasted token)
+            const credentials = await this.promptForCredentials(instanceUrl);
+            if (!credentials) return;
 
             // Get profile name
             const profileName = await vscode.window.showInputBox({
@@ -125,21 +1034,22 @@ class GiteaAuth {
 
             if (!profileName) return;
 
-            // Save profile
-            this.profiles[profileName] = {
-                instanceUrl: instanceUrl,
-                authToken: authToken
-            };
+            // Save profile (token goes to SecretStorage, not settings)
+            this.profiles[profileName] = this.buildProfileMetadata(instanceUrl, credentials, this.profiles[profileName]);
             this.activeProfile = profileName;
             this.instanceUrl = instanceUrl;
-            this.authToken = authToken;
+            this.authToken = credentials.accessToken;
+            if (this.profileSource === 'remote') {
+                this.profileSource = 'workspace';
+            }
 
+            await this.storeCredentials(profileName, credentials);
             await this.saveProfiles();
 
             // Validate
             await this.validateCredentials();
         } catch (error) {
-            console.error('Failed to configure Gitea:', error);
+            getLogger().error('Failed to configure Gitea:', error);
             vscode.window.showErrorMessage(`Failed to configure Gitea: ${error.message}`);
         }
     }
@@ -166,18 +1076,9 @@ class GiteaAuth {
 
             if (!instanceUrl) return false;
 
-            // Get auth token
-            const authToken = await vscode.window.showInputBox({
-                prompt: 'Enter your Personal Access Token',
-                placeHolder: 'Your Gitea Personal Access Token',
-                password: true,
-                validateInput: (value) => {
-                    if (!value) return 'Token is required';
-                    return null;
-                }
-            });
-
-            if (!authToken) return false;
+            // Get credentials (OAuth sign-in or pasted token)
+            const credentials = await this.promptForCredentials(instanceUrl);
+            if (!credentials) return false;
 
             // Get profile name
             const profileName = await vscode.window.showInputBox({
@@ -192,12 +1093,10 @@ class GiteaAuth {
 
             if (!profileName) return false;
 
-            // Save profile
-            this.profiles[profileName] = {
-                instanceUrl: instanceUrl,
-                authToken: authToken
-            };
+            // Save profile (token goes to SecretStorage, not settings)
+            this.profiles[profileName] = this.buildProfileMetadata(instanceUrl, credentials);
 
+            await this.storeCredentials(profileName, credentials);
             await this.saveProfiles();
 
             // Ask if user wants to switch to this profile
@@ -209,29 +1108,43 @@ class GiteaAuth {
             if (switchNow === 'Switch') {
                 this.activeProfile = profileName;
                 this.instanceUrl = instanceUrl;
-                this.authToken = authToken;
+                this.authToken = credentials.accessToken;
+                if (this.profileSource === 'remote') {
+                    this.profileSource = 'workspace';
+                }
                 await this.saveProfiles();
                 await this.validateCredentials();
             }
 
             return true;
         } catch (error) {
-            console.error('Failed to add profile:', error);
+            getLogger().error('Failed to add profile:', error);
             vscode.window.showErrorMessage(`Failed to add profile: ${error.message}`);
             return false;
         }
     }
 
     /**
-     * Save profiles to VS Code settings
+     * Save profile metadata to VS Code settings (tokens are kept in SecretStorage)
      */
     async saveProfiles() {
         try {
             const config = vscode.workspace.getConfiguration('gitea');
-            await config.update('profiles', this.profiles, vscode.ConfigurationTarget.Global);
-            await config.update('activeProfile', this.activeProfile, vscode.ConfigurationTarget.Global);
+            const metadataOnly = {};
+            for (const [name, profile] of Object.entries(this.profiles)) {
+                const metadata = { ...profile };
+                delete metadata.authToken;
+                metadataOnly[name] = metadata;
+            }
+            await config.update('profiles', metadataOnly, vscode.ConfigurationTarget.Global);
+            // Only persist the active profile where it was chosen; remote matches are per window
+            if (this.profileSource === 'workspace') {
+                await config.update('workspaceProfile', this.activeProfile, vscode.ConfigurationTarget.Workspace);
+            } else if (this.profileSource === 'global') {
+                await config.update('activeProfile', this.activeProfile, vscode.ConfigurationTarget.Global);
+            }
         } catch (error) {
-            console.error('Failed to save profiles:', error);
+            getLogger().error('Failed to save profiles:', error);
             throw error;
         }
     }
@@ -270,16 +1183,27 @@ class GiteaAuth {
                 return false;
             }
 
+            let token = await this.getToken(selected.profileName);
+            if (!token) {
+                token = await this.promptForToken(selected.profileName);
+                if (!token) return false;
+            }
+
             this.activeProfile = selected.profileName;
             const profile = this.profiles[this.activeProfile];
             this.instanceUrl = profile.instanceUrl;
-            this.authToken = profile.authToken;
+            this.authToken = token;
+
+            // A manual switch in a window whose profile came from its remotes pins the choice to this workspace
+            if (this.profileSource === 'remote') {
+                this.profileSource = 'workspace';
+            }
 
             await this.saveProfiles();
             await this.validateCredentials();
             return true;
         } catch (error) {
-            console.error('Failed to switch profile:', error);
+            getLogger().error('Failed to switch profile:', error);
             vscode.window.showErrorMessage(`Failed to switch profile: ${error.message}`);
             return false;
         }
@@ -345,123 +1269,594 @@ class GiteaAuth {
             if (confirm !== 'Remove') return false;
 
             delete this.profiles[profileName];
+            await this.deleteToken(profileName);
+            await this.offlineCache.clear(profileName);
+            this.clearTokenRejected(profileName);
             await this.saveProfiles();
             vscode.window.showInformationMessage(`Profile "${profileName}" removed successfully`);
             return true;
         } catch (error) {
-            console.error('Failed to remove profile:', error);
+            getLogger().error('Failed to remove profile:', error);
             vscode.window.showErrorMessage(`Failed to remove profile: ${error.message}`);
             return false;
         }
     }
 
     /**
-     * Make an authenticated request to the Gitea API
+     * Make an authenticated request to the Gitea API. Sends a single request; list endpoints are read
+     * page by page through `paginate()`.
      * @param {string} endpoint - API endpoint (e.g., '/api/v1/user')
-     * @param {object} options - Request options
+     * @param {object} options - Request options (`method`, `body`, `headers`,
+     * `profile` to send the request to another configured profile's instance, `timeout` in ms,
+     * `signal` (AbortSignal) or `cancellationToken` (vscode.CancellationToken) to cancel it, and `priority`
+     * ('high' for user actions, 'normal' for view loads, 'low' for background polling; writes default to 'high'),
+     * and `withTotalCount` to get a single page as `{items, total}`, see `fetchPage()`).
+     * GET responses are persisted and served from disk while the instance is unreachable.
      */
-    makeRequest(endpoint, options = {}) {
-        return new Promise((resolve, reject) => {
-            if (!this.instanceUrl || !this.authToken) {
-                reject(new Error('Gitea not configured. Please run "Gitea: Configure Instance"'));
-                return;
-            }
-
-            const method = options.method || 'GET';
-            // Internal function to handle pagination
-            const fetchAllPages = (endpoint, options, page = 1, accumulated = []) => {
-                // Build endpoint with page parameter if needed
-                let pagedEndpoint = endpoint;
-                if (endpoint.includes('?')) {
-                    pagedEndpoint += `&page=${page}`;
-                } else {
-                    pagedEndpoint += `?page=${page}`;
+    async makeRequest(endpoint, options = {}) {
+        const profileName = options.profile || this.activeProfile;
+        const method = options.method || 'GET';
+        if (method !== 'GET') {
+            const data = await this.requestWithProfile(endpoint, options, profileName);
+            this._onDidWrite.fire({ profile: profileName, method, endpoint });
+            return data;
+        }
+
+        const instanceUrl = this.getInstanceUrl(profileName);
+        const offlineKey = `${instanceUrl}${endpoint}${options.withTotalCount ? '#total' : ''}`;
+
+        // Known to be unreachable: show the last-known data right away, the probe reports when it is back
+        if (this.offline.has(profileName)) {
+            const stale = await this.offlineCache.get(profileName, offlineKey);
+            if (stale) {
+                return this.serveOffline(profileName, endpoint, stale);
+            }
+        }
+
+        try {
+            const data = await this.requestWithProfile(endpoint, options, profileName);
+            // Raw bodies (diffs, file contents) are large and only shown on demand
+            if (typeof data !== 'string') {
+                this.offlineCache.set(profileName, offlineKey, data);
+            }
+            this.setOnline(profileName);
+            return data;
+        } catch (error) {
+            if (error instanceof NetworkError) {
+                const stale = await this.offlineCache.get(profileName, offlineKey);
+                if (stale) {
+                    return this.serveOffline(profileName, endpoint, stale);
                 }
+            }
+            throw error;
+        }
+    }
 
-                const url = new URL(pagedEndpoint, this.instanceUrl);
-                const protocol = url.protocol === 'https:' ? https : http;
+    /**
+     * Iterate a list endpoint item by item, requesting the next page only when the consumer reaches it.
+     * Stop early with `break` or `maxItems`; pages that are never reached are never downloaded.
+     * @param {string} endpoint - List endpoint, without `page`/`limit`
+     * @param {object} [options] - Request options as for `makeRequest()`, plus `pageSize` (defaults to
+     * `gitea.pageSize`, capped at the server's `max_response_items`) and `maxItems`
+     * @returns {AsyncGenerator<*>}
+     */
+    async *paginate(endpoint, options = {}) {
+        const { pageSize, maxItems = Infinity, ...requestOptions } = options;
+        const limit = await this.getPageLimit(pageSize, requestOptions.profile);
+
+        let yielded = 0;
+        for (let page = 1; yielded < maxItems; page++) {
+            const items = await this.makeRequest(`${endpoint}${endpoint.includes('?') ? '&' : '?'}limit=${limit}&page=${page}`, requestOptions);
+            if (!Array.isArray(items) || items.length === 0) return;
+
+            for (const item of items) {
+                yield item;
+                if (++yielded >= maxItems) return;
+            }
+            if (items.length < limit) return;
+        }
+    }
 
-                const requestOptions = {
-                    method: method,
-                    headers: {
-                        'Authorization': `token ${this.authToken}`,
-                        'Content-Type': 'application/json',
-                        ...options.headers
-                    }
-                };
-
-                const req = protocol.request(url, requestOptions, (res) => {
-                    let data = '';
-
-                    res.on('data', (chunk) => {
-                        data += chunk;
-                    });
-
-                    res.on('end', () => {
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            let parsed;
-                            try {
-                                parsed = JSON.parse(data);
-                            } catch (e) {
-                                void(e);
-                                resolve(data);
-                                return;
-                            }
+    /**
+     * Fetch one page of a list endpoint with the number of items in the whole list, taken from the
+     * `X-Total-Count` header, so a list can be counted and shown page by page without downloading all of it
+     * @param {string} endpoint - List endpoint, without `page`/`limit`
+     * @param {number} page - Page number, starting at 1
+     * @param {object} [options] - Request options as for `makeRequest()`, plus `pageSize` as for `paginate()`
+     * @returns {Promise<{items: Array, total: number|null, pageSize: number}>} `total` is null when the server does not report it
+     */
+    async fetchPage(endpoint, page, options = {}) {
+        const { pageSize, ...requestOptions } = options;
+        const limit = await this.getPageLimit(pageSize, requestOptions.profile);
+        const result = await this.makeRequest(`${endpoint}${endpoint.includes('?') ? '&' : '?'}limit=${limit}&page=${page}`, { ...requestOptions, withTotalCount: true });
+        return { items: result?.items || [], total: result?.total ?? null, pageSize: limit };
+    }
 
-                            // Handle pagination only for GET and array data
-                            if (method === 'GET' && Array.isArray(parsed) && res.headers['x-total-count']) {
-                                const total = parseInt(res.headers['x-total-count'], 10);
-                                const currentCount = accumulated.length + parsed.length;
-                                const allData = accumulated.concat(parsed);
-                                if (currentCount < total) {
-                                    // Request next page
-                                    fetchAllPages(endpoint, options, page + 1, allData);
-                                    return;
-                                } else {
-                                    // Cache only if all data has been collected
-                                    const cacheKey = `${this.instanceUrl}${endpoint}`;
-                                    this.cache.set(cacheKey, allData);
-                                    resolve(allData);
-                                    return;
-                                }
-                            } else {
-                                // Cache GET responses (not paginated)
-                                if (method === 'GET') {
-                                    const cacheKey = `${this.instanceUrl}${endpoint}`;
-                                    this.cache.set(cacheKey, parsed);
-                                }
-                                resolve(parsed);
-                                return;
-                            }
-                        } else {
-                            reject(new Error(`API request failed with status ${res.statusCode}: ${data}`));
-                        }
-                    });
-                });
+    /**
+     * Items to request per page: `pageSize`, or `gitea.pageSize`, capped at the server's `max_response_items`.
+     * A larger `limit` than the server allows would be cut short and look like the last page.
+     * @param {number} [pageSize]
+     * @param {string} [profileName]
+     * @returns {Promise<number>}
+     */
+    async getPageLimit(pageSize, profileName) {
+        const { apiSettings } = await this.getServerInfo(profileName);
+        return Math.min(
+            pageSize || vscode.workspace.getConfiguration('gitea').get('pageSize', DEFAULT_PAGE_SIZE),
+            apiSettings?.max_response_items || Infinity
+        );
+    }
 
-                req.on('error', (error) => {
-                    reject(error);
-                });
+    /**
+     * Send a request with a profile's token, refreshing an expired OAuth token once
+     * @param {string} endpoint - API endpoint
+     * @param {object} options - Request options as for `makeRequest()`
+     * @param {string} profileName - Profile name
+     */
+    async requestWithProfile(endpoint, options, profileName) {
+        try {
+            await this.ensureValidToken(profileName);
+            try {
+                return await this.sendRequest(endpoint, options, await this.getConnection(profileName));
+            } catch (error) {
+                // OAuth access tokens can expire early; refresh once and retry
+                if (error.statusCode === 401 && this.isOAuthProfile(profileName)) {
+                    await this.refreshOAuthToken(profileName);
+                    return await this.sendRequest(endpoint, options, await this.getConnection(profileName));
+                }
+                throw error;
+            }
+        } catch (error) {
+            // Revoked or expired token: one sign-in prompt instead of a failure message per view
+            if (error.statusCode === 401) {
+                this.setTokenRejected(profileName);
+            }
+            this.recordScopeRejection(profileName, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the server rejected a profile's token and it has not signed in again since
+     * @param {string} [profileName] - Profile name, defaults to the active profile
+     */
+    isTokenRejected(profileName = this.activeProfile) {
+        return this.rejectedTokens.has(profileName);
+    }
+
+    /**
+     * Record that a profile's token was rejected and offer to sign in again, once per rejection
+     * @param {string} profileName - Profile name
+     */
+    setTokenRejected(profileName) {
+        if (this.rejectedTokens.has(profileName)) return;
+
+        this.rejectedTokens.add(profileName);
+        getLogger().warn(`Token of profile "${profileName}" was rejected (401); it may have been revoked or expired`);
+        this._onDidChangeTokenState.fire({ profile: profileName, rejected: true });
+        this.promptReauthenticate(profileName).catch(error => {
+            getLogger().error('Failed to sign in again:', error);
+        });
+    }
+
+    /**
+     * @param {string} profileName - Profile name
+     */
+    clearTokenRejected(profileName) {
+        if (!this.rejectedTokens.delete(profileName)) return;
+        this._onDidChangeTokenState.fire({ profile: profileName, rejected: false });
+    }
+
+    /**
+     * Tell the user a profile's token stopped working and offer to sign in again
+     * @param {string} profileName - Profile name
+     */
+    async promptReauthenticate(profileName) {
+        const choice = await vscode.window.showWarningMessage(
+            `Gitea rejected the token of profile "${profileName}". It may have been revoked or expired.`,
+            'Sign In Again'
+        );
+        if (choice === 'Sign In Again') {
+            await this.reauthenticate(profileName);
+        }
+    }
+
+    /**
+     * Replace a profile's credentials, keeping its instance and connection settings
+     * @param {string} [profileName] - Profile name, defaults to the active profile
+     * @returns {Promise<boolean>} Whether new credentials were stored
+     */
+    async reauthenticate(profileName = this.activeProfile) {
+        const profile = this.profiles[profileName];
+        if (!profile) return false;
+
+        try {
+            const credentials = await this.promptForCredentials(profile.instanceUrl);
+            if (!credentials) return false;
+
+            this.profiles[profileName] = this.buildProfileMetadata(profile.instanceUrl, credentials, profile);
+            this.cache.clear();
+            // The new token may belong to another account; its responses must not be served from the old one's
+            await this.offlineCache.clear(profileName);
+            if (profileName === this.activeProfile) {
+                this.authToken = credentials.accessToken;
+            }
+            await this.storeCredentials(profileName, credentials);
+            await this.saveProfiles();
+            if (profileName === this.activeProfile) {
+                await this.validateCredentials();
+            }
+            return true;
+        } catch (error) {
+            getLogger().error('Failed to sign in to Gitea:', error);
+            vscode.window.showErrorMessage(`Failed to sign in to Gitea: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Answer a GET with the last-known response while the profile's instance is unreachable
+     * @param {string} profileName - Profile name
+     * @param {string} endpoint - API endpoint
+     * @param {{data: *, timestamp: number}} stale - Entry from the offline cache
+     */
+    serveOffline(profileName, endpoint, stale) {
+        getLogger().debug(`GET ${redactUrl(endpoint)} served from offline cache (${new Date(stale.timestamp).toISOString()})`);
+        this.setOffline(profileName, stale.timestamp);
+        return stale.data;
+    }
+
+    /**
+     * Record that a profile's instance is unreachable and cached data from `timestamp` is on screen
+     * @param {string} profileName - Profile name
+     * @param {number} timestamp - When the cached response was stored
+     */
+    setOffline(profileName, timestamp) {
+        const since = this.offline.get(profileName);
+        if (since !== undefined && since <= timestamp) return;
+
+        if (since === undefined) {
+            getLogger().warn(`Instance of profile "${profileName}" is unreachable; showing cached data`);
+        }
+        this.offline.set(profileName, timestamp);
+        this._onDidChangeConnectivity.fire({ profile: profileName, offline: true });
+        if (!this._offlineProbe) {
+            this._offlineProbe = setInterval(() => this.probeConnectivity(), OFFLINE_PROBE_INTERVAL);
+        }
+    }
+
+    /**
+     * Record that a profile's instance answered again
+     * @param {string} profileName - Profile name
+     */
+    setOnline(profileName) {
+        if (!this.offline.delete(profileName)) return;
+        getLogger().info(`Instance of profile "${profileName}" is reachable again`);
 
-                if (options.body) {
-                    req.write(JSON.stringify(options.body));
+        if (this.offline.size === 0) {
+            this.stopOfflineProbe();
+        }
+        this._onDidChangeConnectivity.fire({ profile: profileName, offline: false });
+    }
+
+    /**
+     * Check whether unreachable instances answer again
+     */
+    async probeConnectivity() {
+        for (const profileName of [...this.offline.keys()]) {
+            try {
+                await this.sendRequest('/api/v1/version', { timeout: 10000, priority: 'low' }, await this.getConnection(profileName));
+                this.setOnline(profileName);
+            } catch (error) {
+                // Any answer from the server means it is reachable again
+                if (!(error instanceof NetworkError)) {
+                    this.setOnline(profileName);
                 }
+            }
+        }
+    }
 
-                req.end();
-            };
+    stopOfflineProbe() {
+        clearInterval(this._offlineProbe);
+        this._offlineProbe = null;
+    }
+
+    /**
+     * Age of the oldest cached data shown because an instance is unreachable
+     * @returns {number|null} Timestamp in ms, or null when every instance is reachable
+     */
+    getOfflineSince() {
+        return this.offline.size ? Math.min(...this.offline.values()) : null;
+    }
+
+    /**
+     * Instance URL, token and connection settings to use for a profile's requests
+     * @param {string} profileName - Profile name
+     * @returns {Promise<{instanceUrl: string, authToken: string, profile?: object}>}
+     */
+    async getConnection(profileName) {
+        if (!profileName || profileName === this.activeProfile || !this.profiles[profileName]) {
+            return { name: this.activeProfile, instanceUrl: this.instanceUrl, authToken: this.authToken, profile: this.profiles[this.activeProfile] };
+        }
+
+        if (!this._profileTokens.has(profileName)) {
+            this._profileTokens.set(profileName, await this.getToken(profileName));
+        }
+        const profile = this.profiles[profileName];
+        return { name: profileName, instanceUrl: profile.instanceUrl, authToken: this._profileTokens.get(profileName), profile };
+    }
+
+    /**
+     * Instance URL of a profile
+     * @param {string} [profileName] - Profile name; defaults to the active profile
+     * @returns {string|undefined}
+     */
+    getInstanceUrl(profileName) {
+        return !profileName || profileName === this.activeProfile ? this.instanceUrl : this.profiles[profileName]?.instanceUrl;
+    }
+
+    /**
+     * Profiles whose instance hosts the repositories open in the workspace.
+     * The active profile always comes first; other profiles are only included when they have a token.
+     * @returns {Promise<string[]>}
+     */
+    async getWorkspaceProfiles() {
+        const profileNames = this.activeProfile ? [this.activeProfile] : [];
+        const remoteHosts = new Set(this.workspaceRepositories.getRemoteHosts());
+
+        for (const [name, profile] of Object.entries(this.profiles)) {
+            if (name === this.activeProfile) continue;
+            let host;
+            try {
+                host = new URL(profile.instanceUrl).hostname.toLowerCase();
+            } catch {
+                continue;
+            }
+            if (remoteHosts.has(host) && (await this.getConnection(name)).authToken) {
+                profileNames.push(name);
+            }
+        }
+        return profileNames;
+    }
+
+    /**
+     * Send a request to the Gitea API, following pagination for GET list endpoints
+     * @param {string} endpoint - API endpoint (e.g., '/api/v1/user')
+     * @param {object} options - Request options
+     * @param {{name?: string, instanceUrl: string, authToken: string, profile?: object}} [connection] - Profile name,
+     * instance, token and proxy/certificate settings to use; defaults to the active profile
+     */
+    async sendRequest(endpoint, options = {}, connection = { name: this.activeProfile, instanceUrl: this.instanceUrl, authToken: this.authToken, profile: this.profiles[this.activeProfile] }) {
+        const { instanceUrl, authToken } = connection;
+        if (!instanceUrl || !authToken) {
+            throw new Error('Gitea not configured. Please run "Gitea: Configure Instance"');
+        }
+
+        const method = options.method || 'GET';
+        // A page with its total count is cached apart from the bare list of the same URL
+        const cacheKey = getCacheKey(connection.name, `${instanceUrl}${endpoint}${options.withTotalCount ? '#total' : ''}`);
+        const started = Date.now();
+        const trace = { method, endpoint, cache: method === 'GET' ? 'miss' : undefined };
+
+        // Check cache for GET requests (safe to cache)
+        if (method === 'GET') {
+            const cached = this.cache.get(cacheKey);
+            if (cached) {
+                logRequest({ ...trace, cache: 'hit', duration: Date.now() - started });
+                return cached;
+            }
+        }
+
+        const timeout = options.timeout ?? vscode.workspace.getConfiguration('gitea').get('requestTimeout', DEFAULT_REQUEST_TIMEOUT);
+        const request = {
+            method,
+            headers: {
+                'Authorization': `token ${authToken}`,
+                'Content-Type': 'application/json',
+                ...options.headers
+            },
+            body: options.body,
+            idempotent: options.idempotent,
+            priority: options.priority || (method === 'GET' ? 'normal' : 'high'),
+            timeout,
+            signal: getAbortSignal(options),
+            agent: getAgent(new URL(instanceUrl), connection.profile)
+        };
+
+        // One request per call: lists are followed page by page through `paginate()`
+        const send = async () => {
+            const url = new URL(endpoint, instanceUrl);
+            const res = method === 'GET'
+                ? await this.requestConditional(url, request, trace, connection.name)
+                : await this.requestWithRetry(url, request);
+            trace.status ??= res.statusCode;
+            // Estimated memory of the cached result: UTF-16 length of the response body
+            const size = res.data.length * 2;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(res.data);
+            } catch {
+                return res.data;
+            }
+
+            // One page together with the size of the whole list, see `fetchPage()`
+            if (method === 'GET' && options.withTotalCount && Array.isArray(parsed)) {
+                const total = parseInt(res.headers['x-total-count'], 10);
+                const result = { items: parsed, total: Number.isNaN(total) ? null : total };
+                this.cache.set(cacheKey, result, { ttl: getCacheTtl(endpoint), size });
+                return result;
+            }
 
-            // Check cache for GET requests (safe to cache)
             if (method === 'GET') {
-                const cacheKey = `${this.instanceUrl}${endpoint}`;
-                const cached = this.cache.get(cacheKey);
-                if (cached) {
-                    resolve(cached);
-                    return;
+                this.cache.set(cacheKey, parsed, { ttl: getCacheTtl(endpoint), size });
+            }
+            return parsed;
+        };
+
+        getLogger().trace(`${method} ${redactUrl(endpoint)} headers: ${JSON.stringify(redactHeaders(request.headers))}`);
+
+        try {
+            const result = await send();
+            if (method !== 'GET') {
+                this.invalidateAfterWrite(instanceUrl, endpoint);
+            }
+            logRequest({ ...trace, duration: Date.now() - started });
+            return result;
+        } catch (error) {
+            logRequest({ ...trace, status: error.statusCode, duration: Date.now() - started, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Drop cached responses a successful write may have made stale, so the next load shows the change.
+     * The write changed the server, so the responses of every profile on that instance are dropped.
+     * @param {string} instanceUrl - Instance the write went to
+     * @param {string} endpoint - Endpoint that was written to
+     */
+    invalidateAfterWrite(instanceUrl, endpoint) {
+        const host = new URL(instanceUrl).host;
+        const stalePaths = getStalePaths(endpoint);
+        this.cache.invalidate(key => {
+            const url = new URL(key.slice(key.indexOf('\n') + 1).replace(/^conditional:/, ''));
+            if (url.host !== host) return false;
+            const path = url.pathname.slice(url.pathname.indexOf('/api/v1/'));
+            return stalePaths.some(stale => path === stale || path.startsWith(`${stale}/`));
+        });
+    }
+
+    /**
+     * GET a page, revalidating an earlier response with `If-None-Match`/`If-Modified-Since`.
+     * A 304 answer is served from the cached response, so unchanged lists cost no transfer.
+     * @param {URL} url - Request URL
+     * @param {object} request - Request as passed to `requestWithRetry()`
+     * @param {object} [trace] - Request trace for the log; records a 304 answer
+     * @param {string} [profileName] - Profile the request is sent with; validators are kept per profile
+     * @returns {Promise<{statusCode: number, headers: object, data: string}>}
+     */
+    async requestConditional(url, request, trace, profileName) {
+        const cacheKey = getCacheKey(profileName, `conditional:${url.href}`);
+        const cached = this.cache.getValidated(cacheKey);
+
+        const headers = { ...request.headers };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const res = await this.requestWithRetry(url, { ...request, headers });
+        if (res.statusCode === 304 && cached) {
+            if (trace) {
+                trace.status ??= 304;
+                trace.cache = 'revalidated';
+            }
+            this.cache.revalidate(cacheKey);
+            return cached.value;
+        }
+
+        const etag = res.headers.etag;
+        const lastModified = res.headers['last-modified'];
+        if (etag || lastModified) {
+            this.cache.set(cacheKey, res, { etag, lastModified, size: res.data.length * 2 });
+        }
+        return res;
+    }
+
+    /**
+     * Perform one HTTP request, retrying transient failures.
+     * 5xx responses and network errors are retried with exponential backoff for idempotent
+     * methods only; 429 responses are retried for every method after the server's `Retry-After`.
+     * Cancelling `request.signal` stops the current attempt and any pending retry.
+     * @param {URL} url - Request URL
+     * @param {{method: string, headers: object, body?: object, idempotent?: boolean, timeout?: number, signal?: AbortSignal}} request
+     * @returns {Promise<{statusCode: number, headers: object, data: string}>}
+     */
+    async requestWithRetry(url, request) {
+        const config = vscode.workspace.getConfiguration('gitea');
+        const maxRetries = Math.max(0, config.get('requestRetries', 3));
+        const baseDelay = Math.max(0, config.get('retryBaseDelay', 500));
+        const idempotent = request.idempotent ?? IDEMPOTENT_METHODS.has(request.method);
+
+        for (let attempt = 0; ; attempt++) {
+            if (request.signal?.aborted) throw new CancelledError();
+
+            let error;
+            try {
+                // Only the attempt itself takes a slot; backoff delays don't hold one
+                const res = await this.scheduler.schedule(() => this.requestOnce(url, request), request.priority, request.signal);
+                // 304 only comes back for conditional requests, which handle it themselves
+                if ((res.statusCode >= 200 && res.statusCode < 300) || res.statusCode === 304) {
+                    return res;
                 }
+                error = createHttpError(res.statusCode, res.data, res.headers);
+            } catch (requestError) {
+                if (request.signal?.aborted) throw new CancelledError();
+                error = createNetworkError(requestError);
+            }
+
+            if (attempt >= maxRetries || !error.retryable) throw error;
+
+            const backoff = baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay);
+            let delay;
+            if (error instanceof RateLimitError) {
+                delay = error.retryAfter ?? backoff;
+                // Don't hold the caller for minutes; surface the rate limit instead
+                if (delay > MAX_RETRY_AFTER) throw error;
+            } else if (idempotent) {
+                delay = backoff;
+            } else {
+                throw error;
+            }
+
+            await delayUnlessAborted(delay, request.signal);
+        }
+    }
+
+    /**
+     * Perform a single HTTP request and collect the response body
+     * @param {URL} url - Request URL
+     * @param {{method: string, headers: object, body?: object, timeout?: number, signal?: AbortSignal, agent?: http.Agent}} request
+     * @returns {Promise<{statusCode: number, headers: object, data: string}>}
+     */
+    requestOnce(url, request) {
+        return new Promise((resolve, reject) => {
+            const protocol = url.protocol === 'https:' ? https : http;
+            let timer;
+            const fail = (error) => {
+                clearTimeout(timer);
+                reject(error);
+            };
+
+            const req = protocol.request(url, { method: request.method, headers: request.headers, signal: request.signal, agent: request.agent }, (res) => {
+                let data = '';
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    clearTimeout(timer);
+                    resolve({ statusCode: res.statusCode, headers: res.headers, data });
+                });
+
+                res.on('error', fail);
+            });
+
+            req.on('error', fail);
+
+            // Covers the whole exchange, so a server that trickles a response can't hang the caller either
+            if (request.timeout > 0) {
+                timer = setTimeout(() => {
+                    const error = new Error(`Request timed out after ${request.timeout / 1000} s`);
+                    error.code = 'ETIMEDOUT';
+                    req.destroy(error);
+                }, request.timeout);
+            }
+
+            if (request.body) {
+                req.write(JSON.stringify(request.body));
             }
 
-            // Start the request (with pagination if needed)
-            fetchAllPages(endpoint, options);
+            req.end();
         });
     }
 
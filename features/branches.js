@@ -1,7 +1,7 @@
 const vscode = require('vscode');
 const path = require('path');
-const fs = require('fs');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
+const { getLogger } = require('./logger');
 
 class BranchManager {
     constructor(auth, context) {
@@ -30,7 +30,7 @@ class BranchManager {
             // Clean up old deletions based on retention period
             this.cleanupOldDeletions();
         } catch (error) {
-            console.error('Failed to load deletion history:', error);
+            getLogger().error('Failed to load deletion history:', error);
         }
     }
 
@@ -45,7 +45,7 @@ class BranchManager {
             }
             await this.context.globalState.update('giteaDeletedBranches', toStore);
         } catch (error) {
-            console.error('Failed to save deletion history:', error);
+            getLogger().error('Failed to save deletion history:', error);
         }
     }
 
@@ -67,65 +67,18 @@ class BranchManager {
                 this.deletedBranches.set(repoPath, filtered);
             }
         } catch (error) {
-            console.error('Failed to cleanup old deletions:', error);
+            getLogger().error('Failed to cleanup old deletions:', error);
         }
     }
 
     /**
      * Get the repository path from the current workspace
      * @param {string} repoName - Repository name in format "owner/repo"
+     * @param {string} [profile] - Profile whose instance hosts the repository; defaults to the active profile
      * @returns {string|null} - Absolute path to the repository or null if not found
      */
-    getRepositoryPath(repoName) {
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (!workspaceFolders) return null;
-
-        const repoNameLower = repoName.toLowerCase();
-
-        // Helper function to search for git repos recursively
-        const findGitReposInDir = (dirPath, depth = 2) => {
-            const foundRepos = [];
-            if (depth < 0) return foundRepos;
-            try {
-                const gitPath = path.join(dirPath, '.git');
-                if (fs.existsSync(gitPath)) foundRepos.push(dirPath);
-                const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-                for (const entry of entries) {
-                    if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                        const subDirPath = path.join(dirPath, entry.name);
-                        foundRepos.push(...findGitReposInDir(subDirPath, depth - 1));
-                    }
-                }
-            } catch {
-                // Ignore errors for inaccessible directories
-            }
-            return foundRepos;
-        };
-
-        // Search through all workspace folders and their subdirectories
-        for (const folder of workspaceFolders) {
-            const folderPath = folder.uri.fsPath;
-            const gitRepoPaths = findGitReposInDir(folderPath);
-
-            for (const repoPath of gitRepoPaths) {
-                const gitConfigPath = path.join(repoPath, '.git', 'config');
-                if (fs.existsSync(gitConfigPath)) {
-                    try {
-                        const config = fs.readFileSync(gitConfigPath, 'utf8').toLowerCase();
-                        // Match against various formats: full path, .git suffix, or just repo name
-                        if (config.includes(`/${repoNameLower}`) ||
-                            config.includes(`/${repoNameLower}.git`) ||
-                            config.includes(`:${repoNameLower}.git`) ||
-                            config.includes(`:${repoNameLower}/`)) {
-                            return repoPath;
-                        }
-                    } catch {
-                        // Ignore read errors
-                    }
-                }
-            }
-        }
-        return null;
+    getRepositoryPath(repoName, profile = null) {
+        return this.auth.workspaceRepositories.getRepositoryPath(repoName, this.auth.getInstanceUrl(profile));
     }
 
     /**
@@ -182,6 +135,31 @@ class BranchManager {
         }
     }
 
+    /**
+     * Check out a branch, tag or commit from the repository view.
+     * Tags and commits are checked out as a detached HEAD; a branch that only exists on the
+     * remote gets a local tracking branch through git's checkout guessing.
+     * @param {string} repoPath - Path to the repository
+     * @param {string} ref - Branch name, tag name or commit SHA
+     * @param {'branch'|'tag'|'commit'} kind - What `ref` names
+     * @returns {Promise<void>}
+     */
+    async checkoutRef(repoPath, ref, kind) {
+        // Arguments are passed without a shell; ref names come from the server
+        const args = kind === 'branch'
+            ? ['checkout', ref, '--']
+            : ['checkout', '--detach', kind === 'tag' ? `refs/tags/${ref}` : ref, '--'];
+        try {
+            execFileSync('git', args, { cwd: repoPath, stdio: 'pipe' });
+        } catch (error) {
+            const stderr = error.stderr?.toString().trim();
+            throw new Error(`Failed to checkout ${kind} ${ref}: ${stderr || error.message}`);
+        }
+        vscode.window.showInformationMessage(kind === 'branch'
+            ? `Switched to branch: ${ref}`
+            : `Checked out ${kind} ${kind === 'commit' ? ref.substring(0, 7) : ref} (detached HEAD)`);
+    }
+
     /**
      * Create a new branch
      * @param {string} repoPath - Path to the repository
@@ -212,17 +190,18 @@ class BranchManager {
      * Create a branch from an issue
      * @param {string} repoName - Repository in format "owner/repo"
      * @param {number} issueNumber - Issue number
+     * @param {string} [profile] - Profile the issue was loaded from; defaults to the active profile
      * @returns {Promise<void>}
      */
-    async createBranchFromIssue(repoName, issueNumber) {
+    async createBranchFromIssue(repoName, issueNumber, profile = null) {
         try {
-            const repoPath = this.getRepositoryPath(repoName);
+            const repoPath = this.getRepositoryPath(repoName, profile);
             if (!repoPath) {
                 throw new Error('Repository not found in workspace');
             }
 
             const [owner, repo] = repoName.split('/');
-            const issue = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}`);
+            const issue = await this.auth.client.getIssue(owner, repo, issueNumber, { profile });
 
             // Generate branch name from issue
             const branchName = await vscode.window.showInputBox({
@@ -251,17 +230,18 @@ class BranchManager {
      * Create a branch from a pull request
      * @param {string} repoName - Repository in format "owner/repo"
      * @param {number} prNumber - Pull request number
+     * @param {string} [profile] - Profile the pull request was loaded from; defaults to the active profile
      * @returns {Promise<void>}
      */
-    async createBranchFromPullRequest(repoName, prNumber) {
+    async createBranchFromPullRequest(repoName, prNumber, profile = null) {
         try {
-            const repoPath = this.getRepositoryPath(repoName);
+            const repoPath = this.getRepositoryPath(repoName, profile);
             if (!repoPath) {
                 throw new Error('Repository not found in workspace');
             }
 
             const [owner, repo] = repoName.split('/');
-            const pr = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}`);
+            const pr = await this.auth.client.getPullRequest(owner, repo, prNumber, { profile });
 
             // Generate branch name from PR
             const branchName = await vscode.window.showInputBox({
@@ -761,7 +741,7 @@ class BranchManager {
 
             return false;
         } catch (error) {
-            console.error('Failed to show diff preview:', error);
+            getLogger().error('Failed to show diff preview:', error);
             const proceed = await vscode.window.showWarningMessage(
                 `Could not generate diff preview: ${error.message}. Restore anyway?`,
                 'Restore',
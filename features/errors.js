@@ -0,0 +1,163 @@
+// Socket error codes that indicate a transient network problem worth retrying
+const TRANSIENT_NETWORK_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH'
+]);
+
+/**
+ * Base class for failed Gitea API requests.
+ * `statusCode` is set when the server answered; it is undefined for network failures.
+ */
+class GiteaApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {string} [body] - Response body
+     */
+    constructor(message, statusCode, body) {
+        super(message);
+        this.name = 'GiteaApiError';
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+
+    /**
+     * Whether repeating an idempotent request may succeed
+     */
+    get retryable() {
+        return this.statusCode >= 500;
+    }
+}
+
+/**
+ * The server rejected the token (401) or the token lacks permission (403)
+ */
+class AuthError extends GiteaApiError {
+    constructor(message, statusCode, body) {
+        super(message, statusCode, body);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * The requested resource does not exist or is not visible to the token (404)
+ */
+class NotFoundError extends GiteaApiError {
+    constructor(message, statusCode, body) {
+        super(message, statusCode, body);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The server is throttling requests (429)
+ */
+class RateLimitError extends GiteaApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} statusCode - HTTP status code
+     * @param {string} body - Response body
+     * @param {number|null} retryAfter - Delay requested by the server in ms, if any
+     */
+    constructor(message, statusCode, body, retryAfter) {
+        super(message, statusCode, body);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The instance could not be reached (DNS, refused or reset connection, timeout)
+ */
+class NetworkError extends GiteaApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} [code] - Socket error code, e.g. `ECONNRESET`
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'NetworkError';
+        this.code = code;
+    }
+
+    get retryable() {
+        return !this.code || TRANSIENT_NETWORK_CODES.has(this.code);
+    }
+}
+
+/**
+ * The request was cancelled by the caller (superseded load or dismissed progress)
+ */
+class CancelledError extends GiteaApiError {
+    constructor(message = 'Request cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Parse a `Retry-After` header (delta seconds or HTTP date) into milliseconds
+ * @param {string} [value] - Header value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the typed error for a non-2xx response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} body - Response body
+ * @param {object} [headers] - Response headers
+ * @returns {GiteaApiError}
+ */
+function createHttpError(statusCode, body, headers = {}) {
+    const message = `API request failed with status ${statusCode}: ${body}`;
+    if (statusCode === 401 || statusCode === 403) return new AuthError(message, statusCode, body);
+    if (statusCode === 404) return new NotFoundError(message, statusCode, body);
+    if (statusCode === 429) return new RateLimitError(message, statusCode, body, parseRetryAfter(headers['retry-after']));
+    return new GiteaApiError(message, statusCode, body);
+}
+
+/**
+ * Wrap a socket error from `http.request`
+ * @param {Error} error - Original error
+ * @returns {NetworkError}
+ */
+function createNetworkError(error) {
+    const networkError = new NetworkError(`Could not reach Gitea: ${error.message}`, error.code);
+    networkError.cause = error;
+    return networkError;
+}
+
+module.exports = {
+    GiteaApiError,
+    AuthError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    CancelledError,
+    parseRetryAfter,
+    createHttpError,
+    createNetworkError
+};
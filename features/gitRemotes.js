@@ -0,0 +1,113 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Find git repositories in a directory and its subdirectories
+ * @param {string} dirPath - Directory to scan
+ * @param {number} depth - How many directory levels to descend
+ * @returns {string[]} Absolute paths of repository roots
+ */
+function findGitRepositories(dirPath, depth = 2) {
+    const foundRepos = [];
+    if (depth < 0) return foundRepos;
+    try {
+        const gitPath = path.join(dirPath, '.git');
+        if (fs.existsSync(gitPath)) foundRepos.push(dirPath);
+        const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) {
+                foundRepos.push(...findGitRepositories(path.join(dirPath, entry.name), depth - 1));
+            }
+        }
+    } catch {
+        // Ignore errors for inaccessible directories
+    }
+    return foundRepos;
+}
+
+/**
+ * Read the remote URLs configured in a repository's `.git/config`
+ * @param {string} repoPath - Repository root
+ * @returns {string[]} Remote URLs
+ */
+function readRemoteUrls(repoPath) {
+    try {
+        const gitConfig = fs.readFileSync(path.join(repoPath, '.git', 'config'), 'utf8');
+        const urls = [];
+        let inRemote = false;
+        for (const rawLine of gitConfig.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (line.startsWith('[')) {
+                inRemote = /^\[remote\s+"[^"]*"\]$/.test(line);
+                continue;
+            }
+            const match = inRemote && line.match(/^url\s*=\s*(.+)$/);
+            if (match) urls.push(match[1].trim());
+        }
+        return urls;
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Extract the lower-cased host name from a remote URL (HTTPS, ssh:// or scp-like)
+ * @param {string} remoteUrl - Remote URL
+ * @returns {string|null}
+ */
+function getRemoteHost(remoteUrl) {
+    if (!remoteUrl) return null;
+
+    // scp-like syntax: git@host:owner/repo.git
+    const scpMatch = remoteUrl.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)/);
+    if (scpMatch && !/^[a-z][a-z0-9+.-]*:\/\//i.test(remoteUrl)) {
+        return scpMatch[1].toLowerCase();
+    }
+
+    try {
+        return new URL(remoteUrl).hostname.toLowerCase() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Split a remote URL into host and repository. Handles HTTPS and ssh:// URLs (with custom
+ * ports and instances served from a sub-path) and scp-like `git@host:owner/repo.git`.
+ * @param {string} remoteUrl - Remote URL
+ * @returns {{scheme: string, host: string, port: string, basePath: string, owner: string, repo: string}|null}
+ * Scheme (`ssh` for scp-like URLs), lower-cased host name, port ('' when default), path before the owner,
+ * owner and repository name
+ */
+function parseRemoteUrl(remoteUrl) {
+    const host = getRemoteHost(remoteUrl);
+    if (!host) return null;
+
+    let scheme = 'ssh';
+    let port = '';
+    let pathname;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(remoteUrl)) {
+        try {
+            const url = new URL(remoteUrl);
+            scheme = url.protocol.slice(0, -1).toLowerCase();
+            port = url.port;
+            pathname = decodeURIComponent(url.pathname);
+        } catch {
+            return null;
+        }
+    } else {
+        pathname = remoteUrl.slice(remoteUrl.indexOf(':') + 1);
+    }
+
+    const segments = pathname.replace(/\.git\/?$/i, '').split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+    const [owner, repo] = segments.slice(-2);
+    return { scheme, host, port, basePath: segments.slice(0, -2).join('/'), owner, repo };
+}
+
+module.exports = {
+    findGitRepositories,
+    readRemoteUrls,
+    getRemoteHost,
+    parseRemoteUrl
+};
@@ -0,0 +1,747 @@
+/**
+ * Typed wrapper around the Gitea REST API (`/api/v1`).
+ * Builds endpoints with encoded path segments and query strings and sends them through
+ * `GiteaAuth.makeRequest()`, which adds authentication, caching and retries.
+ * `iterate*` methods download pages lazily as the consumer advances (see `GiteaAuth.paginate()`);
+ * `list*` methods read the same iterator to the end, so `maxItems` bounds them too.
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {string} [profile] - Profile to send the request with; defaults to the active profile
+ * @property {AbortSignal} [signal] - Aborts the request
+ * @property {import('vscode').CancellationToken} [cancellationToken] - Cancels the request
+ * @property {number} [timeout] - Timeout in ms
+ * @property {'high'|'normal'|'low'} [priority] - Scheduling priority; user actions 'high', background polling 'low'
+ */
+
+/**
+ * @typedef {RequestOptions & {pageSize?: number, maxItems?: number}} IterateOptions
+ */
+
+/**
+ * One page of a list; `total` comes from the `X-Total-Count` header and is null when the server omits it
+ * @template T
+ * @typedef {{items: T[], total: number|null, pageSize: number}} Page
+ */
+
+/**
+ * @typedef {object} User
+ * @property {number} id
+ * @property {string} login
+ * @property {string} [full_name]
+ * @property {string} [avatar_url]
+ */
+
+/**
+ * @typedef {object} Organization
+ * @property {number} id
+ * @property {string} username
+ * @property {string} [full_name]
+ */
+
+/**
+ * @typedef {object} Repository
+ * @property {number} id
+ * @property {string} name
+ * @property {string} full_name
+ * @property {User} owner
+ * @property {string} html_url
+ * @property {string} clone_url
+ * @property {string} [ssh_url]
+ * @property {string} default_branch
+ * @property {boolean} private
+ * @property {boolean} [has_issues]
+ * @property {boolean} [has_pull_requests]
+ */
+
+/**
+ * @typedef {object} Label
+ * @property {number} id
+ * @property {string} name
+ * @property {string} color
+ */
+
+/**
+ * @typedef {object} Issue
+ * @property {number} id
+ * @property {number} number
+ * @property {string} title
+ * @property {string} body
+ * @property {'open'|'closed'} state
+ * @property {User} user
+ * @property {Label[]} labels
+ * @property {string} html_url
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {{merged: boolean, draft?: boolean}|null} pull_request - Set when the issue is a pull request
+ * @property {User[]} [assignees]
+ * @property {{id: number, title: string}|null} [milestone]
+ * @property {number} comments - Number of comments
+ * @property {string|null} [due_date]
+ * @property {{id: number, name: string, owner: string, full_name: string}} repository
+ */
+
+/**
+ * @typedef {object} PullRequest
+ * @property {number} id
+ * @property {number} number
+ * @property {string} title
+ * @property {string} body
+ * @property {'open'|'closed'} state
+ * @property {boolean} merged
+ * @property {boolean} mergeable
+ * @property {User} user
+ * @property {{ref: string, sha: string}} head
+ * @property {{ref: string, sha: string}} base
+ * @property {string} html_url
+ */
+
+/**
+ * Query parameters of the repository issue list
+ * @typedef {object} IssueQuery
+ * @property {'open'|'closed'|'all'} [state]
+ * @property {'issues'|'pulls'} [type]
+ * @property {string[]} [labels] - Label names; issues must carry all of them
+ * @property {string[]} [milestones] - Milestone names
+ * @property {string} [q] - Keyword
+ * @property {string} [created_by] - Author login
+ * @property {string} [assigned_by] - Assignee login
+ * @property {string} [mentioned_by] - Login mentioned in the issue
+ */
+
+/**
+ * Query parameters of the issue search across every repository the user can access.
+ * `assigned`, `created` and `mentioned` refer to the authenticated user.
+ * @typedef {object} IssueSearchQuery
+ * @property {'open'|'closed'|'all'} [state]
+ * @property {'issues'|'pulls'} [type]
+ * @property {string} [q] - Keywords, matched against titles, bodies and comments
+ * @property {string[]} [labels] - Label names; issues carrying any of them match
+ * @property {string[]} [milestones] - Milestone names
+ * @property {boolean} [assigned]
+ * @property {boolean} [created]
+ * @property {boolean} [mentioned]
+ */
+
+/**
+ * @typedef {object} Comment
+ * @property {number} id
+ * @property {string} body
+ * @property {User} user
+ * @property {string} created_at
+ */
+
+/**
+ * Entry of an issue timeline: a comment or an event such as a label change or a close
+ * @typedef {object} TimelineEvent
+ * @property {number} id
+ * @property {string} type - `comment`, `close`, `reopen`, `label`, `milestone`, `assignees`, `change_title`, `issue_ref`, ...
+ * @property {string} body - Comment text; for `label` events `"1"` when the label was added
+ * @property {User} user
+ * @property {string} created_at
+ * @property {Label} [label]
+ * @property {{title: string}} [milestone]
+ * @property {{title: string}} [old_milestone]
+ * @property {User} [assignee]
+ * @property {boolean} [removed_assignee]
+ * @property {string} [old_title]
+ * @property {string} [new_title]
+ * @property {Issue} [ref_issue]
+ */
+
+/**
+ * @typedef {object} Branch
+ * @property {string} name
+ * @property {{id: string, message: string}} commit
+ * @property {boolean} protected
+ */
+
+/**
+ * @typedef {object} Commit
+ * @property {string} sha
+ * @property {{message: string, author: {name: string, date: string}}} commit
+ * @property {string} html_url
+ */
+
+/**
+ * @typedef {object} Tag
+ * @property {string} name
+ * @property {string} [message]
+ * @property {{sha: string, created?: string}} commit
+ */
+
+/**
+ * @typedef {object} Release
+ * @property {number} id
+ * @property {string} tag_name
+ * @property {string} name
+ * @property {boolean} draft
+ * @property {boolean} prerelease
+ * @property {string} [published_at]
+ * @property {string} html_url
+ */
+
+/**
+ * Entry of the contents API. A file path returns one entry with its base64 `content`;
+ * a directory path returns the entries of the directory without content.
+ * @typedef {object} ContentsEntry
+ * @property {string} name
+ * @property {string} path
+ * @property {'file'|'dir'|'symlink'|'submodule'} type
+ * @property {number} size
+ * @property {string} sha
+ * @property {string} [content] - Base64 file content
+ * @property {string} [target] - Target of a symlink
+ * @property {string} html_url
+ */
+
+/**
+ * @typedef {object} NotificationThread
+ * @property {number} id
+ * @property {boolean} unread
+ * @property {{title: string, type: string, state: string, html_url: string}} subject
+ * @property {Repository} repository
+ */
+
+/**
+ * Append a query string, leaving out parameters that are undefined, null or empty
+ * @param {string} path - Endpoint path
+ * @param {object} [params] - Query parameters
+ * @returns {string}
+ */
+function withQuery(path, params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null || value === '') continue;
+        query.append(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    const queryString = query.toString();
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+class GiteaClient {
+    /**
+     * @param {import('./auth')} auth - Authenticated request layer
+     */
+    constructor(auth) {
+        this.auth = auth;
+    }
+
+    /**
+     * Path of a repository endpoint with encoded owner and name
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} [suffix] - Path below the repository, e.g. `/issues`
+     */
+    repoPath(owner, repo, suffix = '') {
+        return `/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}${suffix}`;
+    }
+
+    // Server
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{version: string}>}
+     */
+    getVersion(options = {}) {
+        return this.auth.makeRequest('/api/v1/version', options);
+    }
+
+    /**
+     * Paging limits and other API settings of the server
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{max_response_items: number, default_paging_num: number, default_git_trees_per_page: number, default_max_blob_size: number}>}
+     */
+    getApiSettings(options = {}) {
+        return this.auth.makeRequest('/api/v1/settings/api', options);
+    }
+
+    // Users and repositories
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<User>}
+     */
+    getCurrentUser(options = {}) {
+        return this.auth.makeRequest('/api/v1/user', options);
+    }
+
+    /**
+     * Repositories the authenticated user owns or can access
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Repository[]>}
+     */
+    listMyRepos(options = {}) {
+        return collect(this.iterateMyRepos(options));
+    }
+
+    /**
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Repository>}
+     */
+    iterateMyRepos(options = {}) {
+        return this.auth.paginate('/api/v1/user/repos', options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Repository>}
+     */
+    getRepo(owner, repo, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo), options);
+    }
+
+    /**
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Organization[]>}
+     */
+    listMyOrgs(options = {}) {
+        return collect(this.auth.paginate('/api/v1/user/orgs', options));
+    }
+
+    /**
+     * @param {string} query - Search keyword
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Repository[]>}
+     */
+    async searchRepos(query, options = {}) {
+        const result = await this.auth.makeRequest(withQuery('/api/v1/repos/search', { q: query }), options);
+        return result?.data || [];
+    }
+
+    /**
+     * Create a repository for the user, or for an organization when `org` is given
+     * @param {{name: string, description?: string, private?: boolean}} repository - New repository
+     * @param {string|null} [org] - Organization name
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Repository>}
+     */
+    createRepo(repository, org = null, options = {}) {
+        const endpoint = org ? `/api/v1/orgs/${encodeURIComponent(org)}/repos` : '/api/v1/user/repos';
+        return this.auth.makeRequest(endpoint, { ...options, method: 'POST', body: repository });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{sha?: string}} [params] - Query parameters
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Commit[]>}
+     */
+    listCommits(owner, repo, params = {}, options = {}) {
+        return collect(this.iterateCommits(owner, repo, params, options));
+    }
+
+    /**
+     * Commits, newest first
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{sha?: string}} [params] - Query parameters
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Commit>}
+     */
+    iterateCommits(owner, repo, params = {}, options = {}) {
+        return this.auth.paginate(withQuery(this.repoPath(owner, repo, '/commits'), params), options);
+    }
+
+    /**
+     * Compare two refs
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} base - Base ref
+     * @param {string} head - Head ref
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{total_commits: number, commits: Commit[]}>}
+     */
+    compare(owner, repo, base, head, options = {}) {
+        const range = `${encodeURIComponent(base)}...${encodeURIComponent(head)}`;
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/compare/${range}`), options);
+    }
+
+    /**
+     * File or directory at a path of a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} path - Path inside the repository; empty for the root directory
+     * @param {string} [ref] - Branch, tag or commit; defaults to the default branch
+     * @param {RequestOptions} [options]
+     * @returns {Promise<ContentsEntry|ContentsEntry[]>}
+     */
+    getContents(owner, repo, path, ref, options = {}) {
+        const encodedPath = path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        const suffix = encodedPath ? `/contents/${encodedPath}` : '/contents';
+        return this.auth.makeRequest(withQuery(this.repoPath(owner, repo, suffix), { ref }), options);
+    }
+
+    // Branches and labels
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Branch[]>}
+     */
+    listBranches(owner, repo, options = {}) {
+        return collect(this.iterateBranches(owner, repo, options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Branch>}
+     */
+    iterateBranches(owner, repo, options = {}) {
+        return this.auth.paginate(this.repoPath(owner, repo, '/branches'), options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Label[]>}
+     */
+    listLabels(owner, repo, options = {}) {
+        return collect(this.auth.paginate(this.repoPath(owner, repo, '/labels'), options));
+    }
+
+    // Tags and releases
+
+    /**
+     * Tags, newest first
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Tag>}
+     */
+    iterateTags(owner, repo, options = {}) {
+        return this.auth.paginate(this.repoPath(owner, repo, '/tags'), options);
+    }
+
+    /**
+     * Releases, newest first
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Release>}
+     */
+    iterateReleases(owner, repo, options = {}) {
+        return this.auth.paginate(this.repoPath(owner, repo, '/releases'), options);
+    }
+
+    // Issues
+
+    /**
+     * List issues of a repository. Without `type`, Gitea includes pull requests (they carry `pull_request`).
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IssueQuery} [params]
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Issue[]>}
+     */
+    listIssues(owner, repo, params = {}, options = {}) {
+        return collect(this.iterateIssues(owner, repo, params, options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IssueQuery} [params]
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Issue>}
+     */
+    iterateIssues(owner, repo, params = {}, options = {}) {
+        return this.auth.paginate(withQuery(this.repoPath(owner, repo, '/issues'), params), options);
+    }
+
+    /**
+     * One page of issues with the total count of the list
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {IssueQuery} params
+     * @param {number} page - Page number, starting at 1
+     * @param {IterateOptions} [options] - `pageSize` sets the page length
+     * @returns {Promise<Page<Issue>>}
+     */
+    getIssuePage(owner, repo, params, page, options = {}) {
+        return this.auth.fetchPage(withQuery(this.repoPath(owner, repo, '/issues'), params), page, options);
+    }
+
+    /**
+     * Search issues and pull requests in every repository the user can access
+     * @param {IssueSearchQuery} [params]
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<Issue>}
+     */
+    iterateIssueSearch(params = {}, options = {}) {
+        return this.auth.paginate(withQuery('/api/v1/repos/issues/search', params), options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Issue number
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Issue>}
+     */
+    getIssue(owner, repo, index, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/issues/${index}`), options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{title: string, body?: string, labels?: number[], assignees?: string[], milestone?: number, due_date?: string, ref?: string}} issue - New issue
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Issue>}
+     */
+    createIssue(owner, repo, issue, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, '/issues'), { ...options, method: 'POST', body: issue });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Issue number
+     * @param {{title?: string, body?: string, state?: 'open'|'closed'}} changes - Fields to update
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Issue>}
+     */
+    editIssue(owner, repo, index, changes, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/issues/${index}`), { ...options, method: 'PATCH', body: changes });
+    }
+
+    // Comments (shared by issues and pull requests)
+
+    /**
+     * Comments of an issue or pull request. The server returns them all at once and ignores `page`,
+     * so this is a single request rather than an iterator.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Issue or pull request number
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Comment[]>}
+     */
+    listComments(owner, repo, index, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/issues/${index}/comments`), options);
+    }
+
+    /**
+     * Comments and events of an issue or pull request, oldest first (Gitea 1.15+)
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Issue or pull request number
+     * @param {IterateOptions} [options]
+     * @returns {Promise<TimelineEvent[]>}
+     */
+    listIssueTimeline(owner, repo, index, options = {}) {
+        return collect(this.auth.paginate(this.repoPath(owner, repo, `/issues/${index}/timeline`), options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Issue or pull request number
+     * @param {string} body - Comment text (Markdown)
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Comment>}
+     */
+    createComment(owner, repo, index, body, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/issues/${index}/comments`), { ...options, method: 'POST', body: { body } });
+    }
+
+    // Pull requests
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{state?: 'open'|'closed'|'all', sort?: string, labels?: number[]}} [params]
+     * @param {IterateOptions} [options]
+     * @returns {Promise<PullRequest[]>}
+     */
+    listPullRequests(owner, repo, params = {}, options = {}) {
+        return collect(this.iteratePullRequests(owner, repo, params, options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{state?: 'open'|'closed'|'all', sort?: string, labels?: number[]}} [params]
+     * @param {IterateOptions} [options]
+     * @returns {AsyncGenerator<PullRequest>}
+     */
+    iteratePullRequests(owner, repo, params = {}, options = {}) {
+        return this.auth.paginate(withQuery(this.repoPath(owner, repo, '/pulls'), params), options);
+    }
+
+    /**
+     * One page of pull requests with the total count of the list
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{state?: 'open'|'closed'|'all', sort?: string, labels?: number[]}} params
+     * @param {number} page - Page number, starting at 1
+     * @param {IterateOptions} [options] - `pageSize` sets the page length
+     * @returns {Promise<Page<PullRequest>>}
+     */
+    getPullRequestPage(owner, repo, params, page, options = {}) {
+        return this.auth.fetchPage(withQuery(this.repoPath(owner, repo, '/pulls'), params), page, options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {RequestOptions} [options]
+     * @returns {Promise<PullRequest>}
+     */
+    getPullRequest(owner, repo, index, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/pulls/${index}`), options);
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {{title: string, body?: string, head: string, base: string, assignees?: string[]}} pullRequest - New pull request
+     * @param {RequestOptions} [options]
+     * @returns {Promise<PullRequest>}
+     */
+    createPullRequest(owner, repo, pullRequest, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, '/pulls'), { ...options, method: 'POST', body: pullRequest });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {{title?: string, body?: string, state?: 'open'|'closed'}} changes - Fields to update
+     * @param {RequestOptions} [options]
+     * @returns {Promise<PullRequest>}
+     */
+    editPullRequest(owner, repo, index, changes, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/pulls/${index}`), { ...options, method: 'PATCH', body: changes });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {'merge'|'rebase'|'rebase-merge'|'squash'} mergeMethod - Merge style
+     * @param {RequestOptions} [options]
+     */
+    mergePullRequest(owner, repo, index, mergeMethod = 'merge', options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/pulls/${index}/merge`), { ...options, method: 'POST', body: { Do: mergeMethod } });
+    }
+
+    /**
+     * Bring the head branch up to date with the base branch
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {'merge'|'rebase'} style - Update style
+     * @param {RequestOptions} [options]
+     */
+    updatePullRequest(owner, repo, index, style = 'merge', options = {}) {
+        return this.auth.makeRequest(withQuery(this.repoPath(owner, repo, `/pulls/${index}/update`), { style }), { ...options, method: 'POST' });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Array<{id: number, state: string, body: string, user: User}>>}
+     */
+    listPullReviews(owner, repo, index, options = {}) {
+        return collect(this.auth.paginate(this.repoPath(owner, repo, `/pulls/${index}/reviews`), options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {{body: string, event: 'APPROVED'|'REQUEST_CHANGES'|'COMMENT'}} review - Review to submit
+     * @param {RequestOptions} [options]
+     */
+    createPullReview(owner, repo, index, review, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/pulls/${index}/reviews`), { ...options, method: 'POST', body: review });
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Array<{filename: string, status: string, additions: number, deletions: number}>>}
+     */
+    listPullFiles(owner, repo, index, options = {}) {
+        return collect(this.auth.paginate(this.repoPath(owner, repo, `/pulls/${index}/files`), options));
+    }
+
+    /**
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {IterateOptions} [options]
+     * @returns {Promise<Commit[]>}
+     */
+    listPullCommits(owner, repo, index, options = {}) {
+        return collect(this.auth.paginate(this.repoPath(owner, repo, `/pulls/${index}/commits`), options));
+    }
+
+    /**
+     * Unified diff of a pull request
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} index - Pull request number
+     * @param {RequestOptions} [options]
+     * @returns {Promise<string>}
+     */
+    getPullDiff(owner, repo, index, options = {}) {
+        return this.auth.makeRequest(this.repoPath(owner, repo, `/pulls/${index}.diff`), {
+            ...options,
+            headers: { 'Accept': 'text/plain' }
+        });
+    }
+
+    // Notifications
+
+    /**
+     * Notification threads of the authenticated user
+     * @param {{all?: boolean, 'status-types'?: string[], since?: string}} [params]
+     * @param {IterateOptions} [options]
+     * @returns {Promise<NotificationThread[]>}
+     */
+    listNotifications(params = {}, options = {}) {
+        return collect(this.auth.paginate(withQuery('/api/v1/notifications', params), options));
+    }
+
+    /**
+     * Number of unread notifications
+     * @param {RequestOptions} [options]
+     * @returns {Promise<number>}
+     */
+    async getNewNotificationCount(options = {}) {
+        const result = await this.auth.makeRequest('/api/v1/notifications/new', options);
+        return result?.new || 0;
+    }
+}
+
+/**
+ * Read an async iterator (e.g. `GiteaClient.iterateIssues()`) into an array
+ * @template T
+ * @param {AsyncIterable<T>} iterator
+ * @returns {Promise<T[]>}
+ */
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+}
+
+module.exports = GiteaClient;
+module.exports.collect = collect;
@@ -1,4 +1,10 @@
 const vscode = require('vscode');
+const { CancelledError } = require('./errors');
+const { getLogger } = require('./logger');
+const { collect } = require('./giteaClient');
+
+// Existing issues compared with each imported issue: the best matches of a search for its title
+const DUPLICATE_CANDIDATES = 20;
 
 /**
  * Parse XLSX file and extract issue data
@@ -109,48 +115,24 @@ function getLevenshteinDistance(s1, s2) {
 }
 
 /**
- * Fetch all issues from a repository with pagination
+ * Existing issues that may duplicate an imported one: the server's best matches for its title (`q=`),
+ * so the repository's issues are never downloaded in full. Which issues match depends on the server's issue indexer.
  * @param {Object} auth - Auth object for API calls
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {number} pageSize - Issues per page (default 50)
- * @returns {Promise<Array>} Array of all issues in the repository
+ * @param {string} title - Title of the imported issue
+ * @param {vscode.CancellationToken} [cancellationToken] - Stops the search when cancelled
+ * @returns {Promise<Array>} Matching issues, without pull requests
  */
-async function fetchAllIssues(auth, owner, repo, pageSize = 50) {
-    const allIssues = [];
-    let page = 1;
-    let hasMore = true;
-
+async function fetchDuplicateCandidates(auth, owner, repo, title, cancellationToken) {
     try {
-        while (hasMore) {
-            const issues = await auth.makeRequest(
-                `/api/v1/repos/${owner}/${repo}/issues?state=all&limit=${pageSize}&page=${page}`
-            );
-
-            if (!Array.isArray(issues) || issues.length === 0) {
-                hasMore = false;
-            } else {
-                // Filter out pull requests
-                issues.forEach(issue => {
-                    if (!issue.pull_request) {
-                        allIssues.push(issue);
-                    }
-                });
-
-                // If we got less than pageSize, we've reached the end
-                if (issues.length < pageSize) {
-                    hasMore = false;
-                } else {
-                    page++;
-                }
-            }
-        }
-
-        console.log(`[DEBUG] Fetched ${allIssues.length} existing issues for duplicate detection`);
-        return allIssues;
+        const issues = await collect(auth.client.iterateIssues(owner, repo, { state: 'all', type: 'issues', q: title },
+            { pageSize: DUPLICATE_CANDIDATES, maxItems: DUPLICATE_CANDIDATES, cancellationToken }));
+        return issues.filter(issue => !issue.pull_request);
     } catch (error) {
-        console.error('Error fetching all issues:', error);
-        throw new Error(`Failed to fetch existing issues for duplicate detection: ${error.message}`);
+        if (error instanceof CancelledError) throw error;
+        getLogger().error('Import issues: failed to search existing issues:', error);
+        throw new Error(`Failed to search existing issues for duplicate detection: ${error.message}`);
     }
 }
 
@@ -207,21 +189,29 @@ function findDuplicateIssuesInCache(newIssue, existingIssues, threshold = 0.7) {
 
 /**
  * Import issues from parsed data into Gitea
+ * Cancelling `cancellationToken` stops before the next issue and reports how many were not imported.
  */
-async function importIssuesInternal(auth, repositoryFullName, issues, options = {}) {
+async function importIssuesInternal(auth, repositoryFullName, issues, options = {}, cancellationToken) {
     const [owner, repo] = repositoryFullName.split('/');
     const results = {
         successful: [],
         failed: [],
         skipped: 0,
         duplicates: [],
-        duplicateDetectionFailed: false
+        duplicateDetectionFailed: false,
+        cancelled: false,
+        notImported: 0
+    };
+    const cancel = (remaining) => {
+        results.cancelled = true;
+        results.notImported = remaining;
+        return results;
     };
 
     // Fetch available labels for label name -> ID mapping
     let labelMap = {};
     try {
-        const labels = await auth.makeRequest(`/api/v1/repos/${owner}/${repo}/labels`);
+        const labels = await auth.client.listLabels(owner, repo, { cancellationToken });
         if (Array.isArray(labels)) {
             labelMap = {};
             labels.forEach(label => {
@@ -229,32 +219,31 @@ async function importIssuesInternal(auth, repositoryFullName, issues, options =
             });
         }
     } catch (error) {
-        console.warn('Failed to fetch labels:', error);
+        if (error instanceof CancelledError) return cancel(issues.length);
+        getLogger().warn('Import issues: failed to fetch labels:', error);
         // Continue without label mapping
     }
 
-    // Pre-fetch all existing issues for duplicate detection (optimization)
-    let existingIssuesCache = [];
-    if (options.checkDuplicates) {
-        console.log('[DEBUG] Pre-fetching all existing issues for duplicate detection...');
-        try {
-            existingIssuesCache = await fetchAllIssues(auth, owner, repo);
-        } catch (error) {
-            // Duplicate detection failed - log error and mark as failed
-            console.error('[ERROR] Duplicate detection failed:', error.message);
-            results.duplicateDetectionFailed = true;
-            // Continue with import but without duplicate detection
-        }
-    }
-
     for (let i = 0; i < issues.length; i++) {
+        if (cancellationToken?.isCancellationRequested) return cancel(issues.length - i);
+
         const issue = issues[i];
         try {
             // Check for duplicates if option is enabled and detection didn't fail
-            if (options.checkDuplicates && !results.duplicateDetectionFailed && existingIssuesCache.length > 0) {
+            if (options.checkDuplicates && !results.duplicateDetectionFailed) {
+                let candidates = [];
+                try {
+                    candidates = await fetchDuplicateCandidates(auth, owner, repo, issue.title, cancellationToken);
+                } catch (error) {
+                    if (error instanceof CancelledError) return cancel(issues.length - i);
+                    // Duplicate detection failed - log error and mark as failed
+                    getLogger().error('Import issues: duplicate detection failed:', error);
+                    results.duplicateDetectionFailed = true;
+                    // Continue with import but without duplicate detection
+                }
                 const potentialDuplicates = findDuplicateIssuesInCache(
                     issue,
-                    existingIssuesCache,
+                    candidates,
                     options.duplicateThreshold || 0.7
                 );
 
@@ -295,10 +284,7 @@ async function importIssuesInternal(auth, repositoryFullName, issues, options =
                 requestBody.due_date = issue.dueDate;
             }
 
-            const result = await auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues`, {
-                method: 'POST',
-                body: requestBody
-            });
+            const result = await auth.client.createIssue(owner, repo, requestBody, { cancellationToken });
 
             results.successful.push({
                 title: issue.title,
@@ -306,6 +292,8 @@ async function importIssuesInternal(auth, repositoryFullName, issues, options =
                 url: result.html_url
             });
         } catch (error) {
+            // The interrupted request may or may not have created the issue, so count it as not imported
+            if (error instanceof CancelledError) return cancel(issues.length - i);
             results.failed.push({
                 title: issue.title,
                 error: error.message
@@ -321,8 +309,6 @@ async function importIssuesInternal(auth, repositoryFullName, issues, options =
  */
 async function showImportIssuesDialog(auth, repositories) {
     try {
-        console.log('[DEBUG] showImportIssuesDialog called with', repositories.length, 'repositories');
-
         // Step 1: Select XLSX file
         const fileUris = await vscode.window.showOpenDialog({
             canSelectMany: false,
@@ -334,7 +320,6 @@ async function showImportIssuesDialog(auth, repositories) {
         });
 
         if (!fileUris || fileUris.length === 0) {
-            console.log('[DEBUG] User cancelled file selection');
             return; // User cancelled
         }
 
@@ -380,9 +365,9 @@ async function showImportIssuesDialog(auth, repositories) {
         const progress = await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: `Importing ${issues.length} issues...`,
-            cancellable: false
-        }, async () => {
-            const results = await importIssuesInternal(auth, selectedRepo.value, issues, importOptions);
+            cancellable: true
+        }, async (progress, cancellationToken) => {
+            const results = await importIssuesInternal(auth, selectedRepo.value, issues, importOptions, cancellationToken);
             return results;
         });
 
@@ -390,7 +375,7 @@ async function showImportIssuesDialog(auth, repositories) {
         showImportResults(progress);
     } catch (error) {
         vscode.window.showErrorMessage(`Import failed: ${error.message}`);
-        console.error('Import error:', error);
+        getLogger().error('Import issues failed:', error);
     }
 }
 
@@ -615,10 +600,10 @@ async function showImportOptionsDialog(issues) {
  * Show import results summary
  */
 function showImportResults(results) {
-    const { successful, failed, skipped, duplicates, duplicateDetectionFailed } = results;
+    const { successful, failed, skipped, duplicates, duplicateDetectionFailed, cancelled, notImported } = results;
 
     if (successful.length === 0 && failed.length === 0 && (skipped || 0) === 0) {
-        vscode.window.showWarningMessage('No issues were imported');
+        vscode.window.showWarningMessage(cancelled ? 'Import cancelled. No issues were imported' : 'No issues were imported');
         return;
     }
 
@@ -638,14 +623,18 @@ function showImportResults(results) {
         ? `⚠ Duplicate detection failed - issues may have been imported without duplicate checking`
         : '';
 
-    const message = [successMsg, failMsg, skipMsg, warningMsg].filter(m => m).join('\n');
+    const cancelMsg = cancelled
+        ? `⊘ Cancelled - ${notImported} issue${notImported !== 1 ? 's were' : ' was'} not imported`
+        : '';
+
+    const message = [successMsg, failMsg, skipMsg, warningMsg, cancelMsg].filter(m => m).join('\n');
 
-    if (failed.length > 0 || duplicates.length > 0 || duplicateDetectionFailed) {
+    if (failed.length > 0 || duplicates.length > 0 || duplicateDetectionFailed || cancelled) {
         const buttons = [];
         if (failed.length > 0) buttons.push('View Failures');
         if (duplicates.length > 0) buttons.push('View Duplicates');
         
-        vscode.window.showWarningMessage(`Import completed!\n\n${message}`, ...buttons).then(choice => {
+        vscode.window.showWarningMessage(`${cancelled ? 'Import cancelled' : 'Import completed!'}\n\n${message}`, ...buttons).then(choice => {
             if (choice === 'View Failures') {
                 showFailureDetails(failed);
             } else if (choice === 'View Duplicates') {
@@ -838,6 +827,6 @@ module.exports = {
     parseXlsxFile,
     importIssuesInternal,
     showImportIssuesDialog,
-    fetchAllIssues,
+    fetchDuplicateCandidates,
     findDuplicateIssuesInCache
 };
@@ -0,0 +1,270 @@
+const vscode = require('vscode');
+const { collect } = require('./giteaClient');
+
+// Stands for the signed-in user of the profile a query runs with
+const CURRENT_USER = '@me';
+
+/**
+ * Filters of the Issues view; also the shape of a saved query in `gitea.issueQueries`
+ * @typedef {object} IssueFilter
+ * @property {string[]} [labels] - Label names; issues must carry all of them
+ * @property {string[]} [milestones] - Milestone names
+ * @property {string} [assignee] - Assignee login or `@me`
+ * @property {string} [author] - Author login or `@me`
+ * @property {string} [mentions] - Mentioned login or `@me`
+ */
+
+/**
+ * @typedef {IssueFilter & {name: string, state?: 'open'|'closed'|'all'}} SavedIssueQuery
+ */
+
+/**
+ * Search text split into keywords and qualifiers, see `parseSearchQuery()`
+ * @typedef {IssueFilter & {keywords: string, state?: 'open'|'closed'|'all', repo?: string}} IssueSearch
+ */
+
+// `key:value` or `key:"quoted value"`, a quoted phrase, or a plain word
+const SEARCH_TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+/**
+ * Whether a filter narrows the issue list at all
+ * @param {IssueFilter} filter
+ * @returns {boolean}
+ */
+function isFilterActive(filter) {
+    return Boolean(filter.labels?.length || filter.milestones?.length || filter.assignee || filter.author || filter.mentions);
+}
+
+/**
+ * Short text for a filter, e.g. `label:bug assignee:@me`
+ * @param {IssueFilter} filter
+ * @returns {string}
+ */
+function describeFilter(filter) {
+    const parts = [
+        ...(filter.labels || []).map(label => `label:${label}`),
+        ...(filter.milestones || []).map(milestone => `milestone:${milestone}`)
+    ];
+    if (filter.assignee) parts.push(`assignee:${filter.assignee}`);
+    if (filter.author) parts.push(`author:${filter.author}`);
+    if (filter.mentions) parts.push(`mentions:${filter.mentions}`);
+    return parts.join(' ');
+}
+
+/**
+ * Query parameters of the issue list API for a filter.
+ * `@me` is replaced with the login of the profile's user.
+ * @param {import('./auth')} auth
+ * @param {IssueFilter} filter
+ * @param {string} [profile]
+ * @returns {Promise<import('./giteaClient').IssueQuery>}
+ */
+async function toIssueQuery(auth, filter, profile) {
+    const usesCurrentUser = [filter.assignee, filter.author, filter.mentions].includes(CURRENT_USER);
+    const login = usesCurrentUser ? (await auth.client.getCurrentUser({ profile })).login : null;
+    const resolve = user => (user === CURRENT_USER ? login : user) || undefined;
+
+    return {
+        labels: filter.labels?.length ? filter.labels : undefined,
+        milestones: filter.milestones?.length ? filter.milestones : undefined,
+        assigned_by: resolve(filter.assignee),
+        created_by: resolve(filter.author),
+        mentioned_by: resolve(filter.mentions)
+    };
+}
+
+/**
+ * Parse search text such as `crash is:open label:bug author:me`.
+ * Known qualifiers: `is:`/`state:` (open, closed, all), `label:`, `milestone:`, `author:`,
+ * `assignee:`, `mentions:` and `repo:owner/name`; `me` and `@me` stand for the signed-in user.
+ * Everything else, including unknown qualifiers, is kept as keywords.
+ * @param {string} text
+ * @returns {IssueSearch}
+ */
+function parseSearchQuery(text) {
+    const search = { keywords: '', labels: [], milestones: [] };
+    const keywords = [];
+    const toUser = value => (value === 'me' || value === CURRENT_USER ? CURRENT_USER : value.replace(/^@/, ''));
+
+    for (const match of text.matchAll(SEARCH_TOKEN)) {
+        const [token, key, quotedValue, plainValue, phrase, word] = match;
+        const value = quotedValue ?? plainValue;
+        switch (key?.toLowerCase()) {
+            case 'is':
+            case 'state':
+                if (['open', 'closed', 'all'].includes(value.toLowerCase())) {
+                    search.state = value.toLowerCase();
+                } else if (!['issue', 'pr', 'pull'].includes(value.toLowerCase())) {
+                    keywords.push(token);
+                }
+                break;
+            case 'label':
+                search.labels.push(value);
+                break;
+            case 'milestone':
+                search.milestones.push(value);
+                break;
+            case 'author':
+                search.author = toUser(value);
+                break;
+            case 'assignee':
+                search.assignee = toUser(value);
+                break;
+            case 'mentions':
+                search.mentions = toUser(value);
+                break;
+            case 'repo':
+                search.repo = value;
+                break;
+            default:
+                keywords.push(key ? token : phrase ?? word);
+        }
+    }
+    search.keywords = keywords.join(' ');
+    return search;
+}
+
+/**
+ * Run a search on one profile's server. The issue search across every repository the user can access
+ * only filters by the signed-in user, so a search with `repo:`, or with `author:`, `assignee:` or
+ * `mentions:` naming anyone else, goes through the issue list of that repository or of each repository
+ * the user can access instead, where the server applies every filter.
+ * @param {import('./auth')} auth
+ * @param {IssueSearch} search
+ * @param {'issues'|'pulls'} type
+ * @param {string} profile
+ * @param {import('./giteaClient').IterateOptions} [options]
+ * @returns {Promise<{issue: import('./giteaClient').Issue, repoName: string}[]>}
+ */
+async function runIssueSearch(auth, search, type, profile, options = {}) {
+    const state = search.state || 'all';
+    const q = search.keywords || undefined;
+    const isOther = user => user && user !== CURRENT_USER;
+
+    if (search.repo || [search.author, search.assignee, search.mentions].some(isOther)) {
+        const params = { ...await toIssueQuery(auth, search, profile), state, type, q };
+        const repos = search.repo ? [parseRepoQualifier(search.repo)] : await getSearchableRepos(auth, type, profile, options);
+        // Repositories are searched in parallel; the request scheduler bounds how many requests run at once,
+        // and each repository contributes at most `maxItems`
+        const results = await Promise.all(repos.map(async ({ owner, name }) => {
+            const issues = await collect(auth.client.iterateIssues(owner, name, params, { ...options, profile }));
+            return issues.map(issue => ({ issue, repoName: issue.repository?.full_name || `${owner}/${name}` }));
+        }));
+        const maxItems = options.maxItems ?? Infinity;
+        return results.flat()
+            .sort((a, b) => new Date(b.issue.updated_at || 0) - new Date(a.issue.updated_at || 0))
+            .slice(0, maxItems);
+    }
+
+    const params = {
+        state, type, q,
+        labels: search.labels?.length ? search.labels : undefined,
+        milestones: search.milestones?.length ? search.milestones : undefined,
+        assigned: search.assignee === CURRENT_USER || undefined,
+        created: search.author === CURRENT_USER || undefined,
+        mentioned: search.mentions === CURRENT_USER || undefined
+    };
+    const issues = await collect(auth.client.iterateIssueSearch(params, { ...options, profile }));
+    return issues.map(issue => ({ issue, repoName: issue.repository?.full_name }));
+}
+
+function parseRepoQualifier(value) {
+    const [owner, name] = value.split('/');
+    if (!owner || !name) {
+        throw new Error(`repo: needs owner/name, got "${value}"`);
+    }
+    return { owner, name };
+}
+
+/**
+ * Repositories of the profile's user that have the issue or pull request unit enabled
+ */
+async function getSearchableRepos(auth, type, profile, options) {
+    const repos = await auth.client.listMyRepos({ profile, signal: options.signal });
+    const unit = type === 'pulls' ? 'has_pull_requests' : 'has_issues';
+    return (repos || [])
+        .filter(repo => repo[unit] !== false)
+        .map(repo => ({ owner: repo.owner.login, name: repo.name }));
+}
+
+/**
+ * Saved queries from `gitea.issueQueries`, skipping entries without a name
+ * @returns {SavedIssueQuery[]}
+ */
+function getSavedIssueQueries() {
+    const queries = vscode.workspace.getConfiguration('gitea').get('issueQueries', []);
+    return Array.isArray(queries) ? queries.filter(query => query && typeof query.name === 'string' && query.name.trim()) : [];
+}
+
+/**
+ * Let the user change one field of the Issues view filter
+ * @param {import('./auth')} auth
+ * @param {IssueFilter} filter - Current filter
+ * @param {() => Promise<{owner: string, name: string, profile: string}[]>} getRepos - Workspace repositories whose labels are offered
+ * @returns {Promise<IssueFilter|undefined>} The new filter, or undefined when cancelled
+ */
+async function editIssueFilter(auth, filter, getRepos) {
+    const toggle = (field, label) => ({
+        label: `${filter[field] === CURRENT_USER ? '$(check)' : '$(circle-large-outline)'} ${label}`,
+        apply: () => ({ ...filter, [field]: filter[field] === CURRENT_USER ? undefined : CURRENT_USER })
+    });
+    const choice = await vscode.window.showQuickPick([
+        { label: '$(tag) Labels...', description: filter.labels?.join(', '), apply: () => pickLabels(auth, filter, getRepos) },
+        {
+            label: '$(milestone) Milestones...', description: filter.milestones?.join(', '),
+            apply: () => promptList('Milestone names, separated by commas', filter.milestones, milestones => ({ ...filter, milestones }))
+        },
+        {
+            label: '$(person) Assignee...', description: filter.assignee,
+            apply: () => promptUser('Assignee login, or @me', filter.assignee, assignee => ({ ...filter, assignee }))
+        },
+        {
+            label: '$(account) Author...', description: filter.author,
+            apply: () => promptUser('Author login, or @me', filter.author, author => ({ ...filter, author }))
+        },
+        toggle('assignee', 'Assigned to me'),
+        toggle('mentions', 'Mentions me'),
+        toggle('author', 'Created by me'),
+        { label: '$(clear-all) Clear all filters', apply: () => ({}) }
+    ], { placeHolder: isFilterActive(filter) ? `Filter: ${describeFilter(filter)}` : 'Filter issues by' });
+
+    return choice ? choice.apply() : undefined;
+}
+
+async function pickLabels(auth, filter, getRepos) {
+    const loadItems = async () => {
+        const names = new Set(filter.labels || []);
+        const results = await Promise.all((await getRepos()).map(repo =>
+            auth.client.listLabels(repo.owner, repo.name, { profile: repo.profile }).catch(() => [])));
+        results.flat().forEach(label => names.add(label.name));
+        return Array.from(names).sort().map(name => ({ label: name, picked: filter.labels?.includes(name) }));
+    };
+    const picked = await vscode.window.showQuickPick(loadItems(), {
+        canPickMany: true,
+        placeHolder: 'Show issues that carry all selected labels'
+    });
+    return picked ? { ...filter, labels: picked.map(item => item.label) } : undefined;
+}
+
+async function promptList(prompt, current, apply) {
+    const value = await vscode.window.showInputBox({ prompt, value: (current || []).join(', ') });
+    if (value === undefined) return undefined;
+    return apply(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+async function promptUser(prompt, current, apply) {
+    const value = await vscode.window.showInputBox({ prompt, value: current || '' });
+    if (value === undefined) return undefined;
+    return apply(value.trim().replace(/^@(?!me$)/, '') || undefined);
+}
+
+module.exports = {
+    CURRENT_USER,
+    isFilterActive,
+    describeFilter,
+    toIssueQuery,
+    parseSearchQuery,
+    runIssueSearch,
+    getSavedIssueQueries,
+    editIssueFilter
+};
@@ -0,0 +1,77 @@
+const vscode = require('vscode');
+const { CancelledError } = require('./errors');
+
+// Header values that carry credentials; they never reach the log
+const REDACTED_HEADERS = new Set(['authorization', 'cookie', 'x-gitea-otp']);
+// Query parameters Gitea accepts as an alternative to the Authorization header
+const TOKEN_PARAMS = /([?&](?:token|access_token)=)[^&#]*/gi;
+const REDACTED = '[redacted]';
+
+let channel;
+
+/**
+ * The "Gitea" output channel, created on first use.
+ * It follows the level chosen with "Developer: Set Log Level...": API requests are logged at
+ * debug, their headers at trace, and failures at warning.
+ * @returns {vscode.LogOutputChannel}
+ */
+function getLogger() {
+    if (!channel) {
+        channel = vscode.window.createOutputChannel('Gitea', { log: true });
+    }
+    return channel;
+}
+
+/**
+ * Copy of request headers that is safe to log
+ * @param {object} [headers]
+ * @returns {object}
+ */
+function redactHeaders(headers = {}) {
+    const redacted = {};
+    for (const [name, value] of Object.entries(headers)) {
+        redacted[name] = REDACTED_HEADERS.has(name.toLowerCase()) ? REDACTED : value;
+    }
+    return redacted;
+}
+
+/**
+ * Endpoint or URL with token query parameters removed
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function redactUrl(endpoint) {
+    return endpoint.replace(TOKEN_PARAMS, `$1${REDACTED}`);
+}
+
+/**
+ * Record a finished `makeRequest()` call, e.g. `GET /api/v1/user/repos?limit=50&page=2 200 84ms cache:miss`
+ * @param {object} trace
+ * @param {string} trace.method - HTTP method
+ * @param {string} trace.endpoint - API endpoint
+ * @param {number} [trace.status] - Response status; missing when no response arrived
+ * @param {number} trace.duration - Time in ms, including retries and scheduler wait
+ * @param {'hit'|'miss'|'revalidated'} [trace.cache] - In-memory cache result for GET requests
+ * @param {Error} [trace.error] - Error the request failed with
+ */
+function logRequest(trace) {
+    const parts = [trace.method, redactUrl(trace.endpoint), trace.status ?? '---', `${trace.duration}ms`];
+    if (trace.cache) parts.push(`cache:${trace.cache}`);
+    const line = parts.join(' ');
+
+    const logger = getLogger();
+    if (!trace.error) {
+        logger.debug(line);
+    } else if (trace.error instanceof CancelledError) {
+        logger.trace(`${line} cancelled`);
+    } else {
+        logger.warn(`${line} ${trace.error.name}: ${trace.error.message}`);
+    }
+}
+
+module.exports = {
+    getLogger,
+    redactHeaders,
+    redactUrl,
+    logRequest
+};
@@ -0,0 +1,201 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+// Agents keyed by their settings, so connections are pooled per profile configuration
+const agentCache = new Map();
+
+/**
+ * Proxy settings from VS Code (`http.proxy`, `http.proxyStrictSSL`, `http.noProxy`),
+ * falling back to the standard proxy environment variables
+ * @returns {{proxyUrl: string|null, strictSSL: boolean, noProxy: string[]}}
+ */
+function getProxySettings() {
+    const config = vscode.workspace.getConfiguration('http');
+    const env = process.env;
+    const noProxy = config.get('noProxy') || [];
+    const envNoProxy = (env.NO_PROXY || env.no_proxy || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    return {
+        proxyUrl: config.get('proxy') || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || null,
+        strictSSL: config.get('proxyStrictSSL') !== false,
+        noProxy: noProxy.concat(envNoProxy)
+    };
+}
+
+/**
+ * Whether a host is excluded from proxying by a `noProxy` entry (`*`, `host`, `.domain` or `domain`)
+ * @param {string} hostname - Target host name
+ * @param {string[]} noProxy - Exclusion list
+ */
+function isProxyBypassed(hostname, noProxy) {
+    const host = hostname.toLowerCase();
+    return noProxy.some(entry => {
+        const pattern = entry.toLowerCase().replace(/:\d+$/, '').replace(/^\*?\./, '');
+        return pattern === '*' || host === pattern || host.endsWith(`.${pattern}`);
+    });
+}
+
+/**
+ * Read a PEM file referenced by a profile setting
+ * @param {string} filePath - Path from settings (may start with `~`)
+ * @param {string} setting - Setting name used in the error message
+ */
+function readPemFile(filePath, setting) {
+    const resolved = filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+    try {
+        return fs.readFileSync(resolved);
+    } catch (error) {
+        throw new Error(`Cannot read ${setting} "${filePath}": ${error.message}`);
+    }
+}
+
+/**
+ * Open a tunnel to `target` through an HTTP(S) proxy with CONNECT
+ * @param {URL} proxy - Proxy URL
+ * @param {{host: string, port: number}} target - Destination
+ * @param {boolean} strictSSL - Verify the proxy's certificate when it is reached over HTTPS
+ * @param {(error: Error|null, socket?: import('net').Socket) => void} callback
+ */
+function openTunnel(proxy, target, strictSSL, callback) {
+    const headers = { Host: `${target.host}:${target.port}` };
+    if (proxy.username) {
+        const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+        headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const secureProxy = proxy.protocol === 'https:';
+    const connectReq = (secureProxy ? https : http).request({
+        host: proxy.hostname,
+        port: proxy.port || (secureProxy ? 443 : 80),
+        method: 'CONNECT',
+        path: `${target.host}:${target.port}`,
+        headers,
+        rejectUnauthorized: strictSSL,
+        agent: false
+    });
+
+    connectReq.once('connect', (res, socket) => {
+        if (res.statusCode !== 200) {
+            socket.destroy();
+            callback(new Error(`Proxy ${proxy.host} refused the connection to ${target.host}:${target.port} (status ${res.statusCode})`));
+            return;
+        }
+        callback(null, socket);
+    });
+    connectReq.once('error', error => callback(error));
+    connectReq.end();
+}
+
+/**
+ * HTTPS agent that reaches the server through a proxy tunnel and negotiates TLS inside it
+ */
+class HttpsProxyAgent extends https.Agent {
+    constructor(proxy, options) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        openTunnel(this.proxy, options, this.options.rejectUnauthorized !== false, (error, socket) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+        });
+    }
+}
+
+/**
+ * HTTP agent that reaches the server through a proxy tunnel
+ */
+class HttpProxyAgent extends http.Agent {
+    constructor(proxy, options) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        openTunnel(this.proxy, options, true, callback);
+    }
+}
+
+/**
+ * Agent for requests to a profile's instance, honouring VS Code's proxy settings and the profile's
+ * certificate options. Returns undefined when nothing needs to change, so Node's default agent is used.
+ * @param {URL} url - Request URL
+ * @param {object} [profile] - Profile settings (`caCertificatePath`, `allowSelfSigned`, `clientCertificatePath`, `clientKeyPath`)
+ * @returns {http.Agent|undefined}
+ */
+function getAgent(url, profile = {}) {
+    const proxySettings = getProxySettings();
+    const proxyUrl = proxySettings.proxyUrl && !isProxyBypassed(url.hostname, proxySettings.noProxy)
+        ? proxySettings.proxyUrl
+        : null;
+    const secure = url.protocol === 'https:';
+    const tlsSettings = secure
+        ? {
+            caCertificatePath: profile.caCertificatePath || null,
+            allowSelfSigned: profile.allowSelfSigned === true,
+            clientCertificatePath: profile.clientCertificatePath || null,
+            clientKeyPath: profile.clientKeyPath || null
+        }
+        : {};
+    const needsTls = Object.values(tlsSettings).some(Boolean);
+
+    if (!proxyUrl && !needsTls) return undefined;
+
+    const key = JSON.stringify({ secure, proxyUrl, strictSSL: proxySettings.strictSSL, ...tlsSettings });
+    if (agentCache.has(key)) return agentCache.get(key);
+
+    const options = { keepAlive: true };
+    if (secure) {
+        // `http.proxyStrictSSL: false` exists for proxies that re-sign TLS traffic
+        options.rejectUnauthorized = !tlsSettings.allowSelfSigned && (!proxyUrl || proxySettings.strictSSL);
+        if (tlsSettings.caCertificatePath) {
+            // Extend rather than replace Node's bundled roots
+            options.ca = [...tls.rootCertificates, readPemFile(tlsSettings.caCertificatePath, 'caCertificatePath')];
+        }
+        if (tlsSettings.clientCertificatePath) {
+            options.cert = readPemFile(tlsSettings.clientCertificatePath, 'clientCertificatePath');
+            options.key = readPemFile(tlsSettings.clientKeyPath || tlsSettings.clientCertificatePath, 'clientKeyPath');
+        }
+    }
+
+    let agent;
+    if (proxyUrl) {
+        let proxy;
+        try {
+            proxy = new URL(/^[a-z]+:\/\//i.test(proxyUrl) ? proxyUrl : `http://${proxyUrl}`);
+        } catch {
+            throw new Error(`Invalid proxy URL in http.proxy: ${proxyUrl}`);
+        }
+        agent = secure ? new HttpsProxyAgent(proxy, options) : new HttpProxyAgent(proxy, options);
+    } else {
+        agent = new https.Agent(options);
+    }
+
+    agentCache.set(key, agent);
+    return agent;
+}
+
+/**
+ * Drop pooled agents, e.g. after proxy or certificate settings change
+ */
+function clearAgentCache() {
+    for (const agent of agentCache.values()) {
+        agent.destroy();
+    }
+    agentCache.clear();
+}
+
+module.exports = {
+    getAgent,
+    clearAgentCache,
+    getProxySettings,
+    isProxyBypassed
+};
@@ -1,4 +1,5 @@
 const vscode = require('vscode');
+const { getLogger } = require('./logger');
 
 class NotificationManager {
     constructor(auth) {
@@ -29,7 +30,7 @@ class NotificationManager {
                 await this.checkRepositoriesActivity();
             }, this.pollInterval);
         } catch (error) {
-            console.error('Failed to start monitoring:', error);
+            getLogger().error('Failed to start monitoring:', error);
             this.isMonitoring = false;
             vscode.window.showErrorMessage(`Failed to start repository monitoring: ${error.message}`);
         }
@@ -49,7 +50,7 @@ class NotificationManager {
             this.monitoringTimers = {};
             vscode.window.showInformationMessage('Repository monitoring stopped');
         } catch (error) {
-            console.error('Failed to stop monitoring:', error);
+            getLogger().error('Failed to stop monitoring:', error);
             // Don't show error to user as this is cleanup code
         }
     }
@@ -59,19 +60,22 @@ class NotificationManager {
      */
     async checkRepositoriesActivity() {
         if (!this.auth.isConfigured()) return;
+        // Paused until the user signs in again; polling with a revoked token only collects 401s
+        if (this.auth.isTokenRejected()) return;
 
         try {
-            const repos = await this.auth.makeRequest('/api/v1/user/repos');
+            const repos = await this.auth.client.listMyRepos({ priority: 'low' });
             if (!repos || repos.length === 0) return;
 
-            const workspaceRepos = this.filterRepositoriesByWorkspace(repos);
+            const workspaceRepos = this.auth.workspaceRepositories.filter(repos);
             if (workspaceRepos.length === 0) return; // No workspace repos to monitor
 
             for (const repo of workspaceRepos) {
+                if (this.auth.isTokenRejected()) return;
                 await this.checkRepoActivity(repo);
             }
         } catch (error) {
-            console.error('Failed to check repositories activity:', error);
+            getLogger().error('Failed to check repositories activity:', error);
         }
     }
 
@@ -104,7 +108,7 @@ class NotificationManager {
                 this.notifyNewCommits(repo, commits);
             }
         } catch (error) {
-            console.error(`Failed to check activity for ${repo.full_name}:`, error);
+            getLogger().error(`Failed to check activity for ${repo.full_name}:`, error);
         }
     }
 
@@ -113,9 +117,7 @@ class NotificationManager {
      */
     async checkNewIssues(repo, repoKey) {
         try {
-            const issues = await this.auth.makeRequest(
-                `/api/v1/repos/${repo.owner.login}/${repo.name}/issues?state=open&limit=10`
-            );
+            const issues = await this.auth.client.listIssues(repo.owner.login, repo.name, { state: 'open' }, { priority: 'low', pageSize: 10, maxItems: 10 });
 
             const cacheKey = `${repoKey}:issues`;
             const previous = this.activityCache[cacheKey] || [];
@@ -128,7 +130,7 @@ class NotificationManager {
             this.activityCache[cacheKey] = issues.map(i => ({ id: i.id }));
             return newIssues;
         } catch (error) {
-            console.error(`Failed to check issues for ${repoKey}:`, error);
+            getLogger().error(`Failed to check issues for ${repoKey}:`, error);
             return [];
         }
     }
@@ -138,9 +140,7 @@ class NotificationManager {
      */
     async checkNewPullRequests(repo, repoKey) {
         try {
-            const prs = await this.auth.makeRequest(
-                `/api/v1/repos/${repo.owner.login}/${repo.name}/pulls?state=open&limit=10`
-            );
+            const prs = await this.auth.client.listPullRequests(repo.owner.login, repo.name, { state: 'open' }, { priority: 'low', pageSize: 10, maxItems: 10 });
 
             const cacheKey = `${repoKey}:prs`;
             const previous = this.activityCache[cacheKey] || [];
@@ -152,7 +152,7 @@ class NotificationManager {
             this.activityCache[cacheKey] = prs.map(p => ({ id: p.id }));
             return newPRs;
         } catch (error) {
-            console.error(`Failed to check PRs for ${repoKey}:`, error);
+            getLogger().error(`Failed to check PRs for ${repoKey}:`, error);
             return [];
         }
     }
@@ -162,9 +162,7 @@ class NotificationManager {
      */
     async checkNewCommits(repo, repoKey) {
         try {
-            const commits = await this.auth.makeRequest(
-                `/api/v1/repos/${repo.owner.login}/${repo.name}/commits?limit=5`
-            );
+            const commits = await this.auth.client.listCommits(repo.owner.login, repo.name, {}, { priority: 'low', pageSize: 5, maxItems: 5 });
 
             if (!commits || commits.length === 0) return [];
 
@@ -178,7 +176,7 @@ class NotificationManager {
             this.activityCache[cacheKey] = commits.map(c => ({ sha: c.sha }));
             return newCommits;
         } catch (error) {
-            console.error(`Failed to check commits for ${repoKey}:`, error);
+            getLogger().error(`Failed to check commits for ${repoKey}:`, error);
             return [];
         }
     }
@@ -214,7 +212,7 @@ class NotificationManager {
                 }
             });
         } catch (error) {
-            console.error('Failed to notify new issues:', error);
+            getLogger().error('Failed to notify new issues:', error);
         }
     }
 
@@ -249,7 +247,7 @@ class NotificationManager {
                 }
             });
         } catch (error) {
-            console.error('Failed to notify new pull requests:', error);
+            getLogger().error('Failed to notify new pull requests:', error);
         }
     }
 
@@ -275,7 +273,7 @@ class NotificationManager {
                 }
             });
         } catch (error) {
-            console.error('Failed to notify new commits:', error);
+            getLogger().error('Failed to notify new commits:', error);
         }
     }
 
@@ -290,7 +288,7 @@ class NotificationManager {
                 await this.startMonitoring();
             }
         } catch (error) {
-            console.error('Failed to toggle monitoring:', error);
+            getLogger().error('Failed to toggle monitoring:', error);
             vscode.window.showErrorMessage(`Failed to toggle monitoring: ${error.message}`);
         }
     }
@@ -301,42 +299,10 @@ class NotificationManager {
     getStatus() {
         return {
             isMonitoring: this.isMonitoring,
+            paused: this.isMonitoring && this.auth.isTokenRejected(),
             pollInterval: this.pollInterval
         };
     }
-
-    /**
-     * Filter repositories to only those loaded in current workspace
-     */
-    filterRepositoriesByWorkspace(allRepos) {
-        // Get workspace folders
-        const workspaceFolders = vscode.workspace.workspaceFolders || [];
-        if (workspaceFolders.length === 0) {
-            return []; // No workspace folders open
-        }
-
-        // Match repositories with workspace folders
-        const loadedRepos = [];
-        for (const repo of allRepos) {
-            for (const folder of workspaceFolders) {
-                const folderName = folder.name;
-                const repoName = repo.name;
-                const repoFullName = repo.full_name;
-
-                if (
-                    folderName === repoName ||
-                    folderName === repoFullName ||
-                    folderName.toLowerCase() === repoName.toLowerCase() ||
-                    folderName.toLowerCase() === repoFullName.toLowerCase()
-                ) {
-                    loadedRepos.push(repo);
-                    break; // Found match, move to next repo
-                }
-            }
-        }
-
-        return loadedRepos;
-    }
 }
 
 module.exports = NotificationManager;
@@ -0,0 +1,191 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const { getAgent } = require('./network');
+
+// How long to wait for the browser to redirect back before giving up
+const AUTHORIZATION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Gitea OAuth2 authorization-code flow with PKCE.
+ * The browser redirects back to VS Code through the extension's URI handler,
+ * so the registered Gitea application must use the redirect URI returned by
+ * `getRedirectUri()` and be a public (non-confidential) client.
+ */
+class GiteaOAuth {
+    /**
+     * @param {vscode.ExtensionContext} context
+     */
+    constructor(context) {
+        this.context = context;
+        // Pending authorizations keyed by OAuth `state`
+        this._pending = new Map();
+    }
+
+    /**
+     * Redirect URI that Gitea sends the authorization code to
+     */
+    getRedirectUri() {
+        return `${vscode.env.uriScheme}://${this.context.extension.id}/oauth/callback`;
+    }
+
+    /**
+     * vscode.UriHandler implementation: completes a pending authorization
+     * @param {vscode.Uri} uri
+     */
+    handleUri(uri) {
+        if (uri.path !== '/oauth/callback') return;
+
+        const query = new URLSearchParams(uri.query);
+        const state = query.get('state');
+        const pending = state && this._pending.get(state);
+        if (!pending) {
+            vscode.window.showWarningMessage('Received an unexpected Gitea sign-in response. Please try signing in again.');
+            return;
+        }
+
+        this._pending.delete(state);
+        clearTimeout(pending.timer);
+
+        const error = query.get('error');
+        if (error) {
+            pending.reject(new Error(query.get('error_description') || error));
+        } else if (!query.get('code')) {
+            pending.reject(new Error('Gitea did not return an authorization code'));
+        } else {
+            pending.resolve(query.get('code'));
+        }
+    }
+
+    /**
+     * Run the browser sign-in and exchange the code for tokens
+     * @param {string} instanceUrl - Gitea instance URL
+     * @param {string} clientId - Client ID of the registered OAuth2 application
+     * @param {object} [profile] - Profile settings with proxy/certificate options for the token request
+     * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number}>}
+     */
+    async authorize(instanceUrl, clientId, profile) {
+        const verifier = base64Url(crypto.randomBytes(32));
+        const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+        const state = base64Url(crypto.randomBytes(16));
+        const redirectUri = this.getRedirectUri();
+
+        const authorizeUrl = new URL('/login/oauth/authorize', instanceUrl);
+        authorizeUrl.searchParams.set('client_id', clientId);
+        authorizeUrl.searchParams.set('redirect_uri', redirectUri);
+        authorizeUrl.searchParams.set('response_type', 'code');
+        authorizeUrl.searchParams.set('state', state);
+        authorizeUrl.searchParams.set('code_challenge', challenge);
+        authorizeUrl.searchParams.set('code_challenge_method', 'S256');
+
+        const code = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Waiting for Gitea sign-in in your browser...',
+            cancellable: true
+        }, (progress, cancellationToken) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(state);
+                reject(new Error('Timed out waiting for Gitea sign-in'));
+            }, AUTHORIZATION_TIMEOUT);
+
+            this._pending.set(state, { resolve, reject, timer });
+
+            cancellationToken.onCancellationRequested(() => {
+                this._pending.delete(state);
+                clearTimeout(timer);
+                reject(new Error('Sign-in cancelled'));
+            });
+
+            vscode.env.openExternal(vscode.Uri.parse(authorizeUrl.toString(), true));
+        }));
+
+        return this.requestToken(instanceUrl, {
+            grant_type: 'authorization_code',
+            client_id: clientId,
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: verifier
+        }, profile);
+    }
+
+    /**
+     * Exchange a refresh token for a new access token
+     * @param {string} instanceUrl - Gitea instance URL
+     * @param {string} clientId - Client ID of the registered OAuth2 application
+     * @param {string} refreshToken - Refresh token from a previous grant
+     * @param {object} [profile] - Profile settings with proxy/certificate options
+     */
+    refresh(instanceUrl, clientId, refreshToken, profile) {
+        return this.requestToken(instanceUrl, {
+            grant_type: 'refresh_token',
+            client_id: clientId,
+            refresh_token: refreshToken
+        }, profile);
+    }
+
+    /**
+     * POST to Gitea's token endpoint
+     * @param {string} instanceUrl - Gitea instance URL
+     * @param {object} params - Form parameters
+     * @param {object} [profile] - Profile settings with proxy/certificate options
+     */
+    requestToken(instanceUrl, params, profile) {
+        return new Promise((resolve, reject) => {
+            const url = new URL('/login/oauth/access_token', instanceUrl);
+            const protocol = url.protocol === 'https:' ? https : http;
+            const body = new URLSearchParams(params).toString();
+
+            const req = protocol.request(url, {
+                method: 'POST',
+                agent: getAgent(url, profile),
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Content-Length': Buffer.byteLength(body),
+                    'Accept': 'application/json'
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(data);
+                    } catch {
+                        reject(new Error(`Token request failed with status ${res.statusCode}: ${data}`));
+                        return;
+                    }
+
+                    if (res.statusCode < 200 || res.statusCode >= 300 || !parsed.access_token) {
+                        reject(new Error(parsed.error_description || parsed.error || `Token request failed with status ${res.statusCode}`));
+                        return;
+                    }
+
+                    resolve({
+                        accessToken: parsed.access_token,
+                        refreshToken: parsed.refresh_token || params.refresh_token || null,
+                        expiresAt: parsed.expires_in ? Date.now() + parsed.expires_in * 1000 : null
+                    });
+                });
+            });
+
+            req.on('error', reject);
+            req.write(body);
+            req.end();
+        });
+    }
+}
+
+/**
+ * Base64url-encode a buffer without padding (RFC 7636)
+ */
+function base64Url(buffer) {
+    return buffer.toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+module.exports = GiteaOAuth;
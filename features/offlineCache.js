@@ -0,0 +1,159 @@
+const vscode = require('vscode');
+const { getLogger } = require('./logger');
+
+// Responses kept per profile; the least recently stored are dropped first
+const MAX_ENTRIES = 500;
+// Every write rewrites the profile's file, so its size is capped and large responses are not kept at all
+const MAX_SIZE = 4 * 1024 * 1024; // 4 MB of JSON per profile
+const MAX_ENTRY_SIZE = 256 * 1024; // 256 KB
+// Batch writes so a tree refresh produces one file write instead of one per request
+const WRITE_DELAY = 2000; // 2 seconds
+
+/**
+ * Last-known API responses persisted in `context.globalStorageUri`, one JSON file per profile,
+ * so the views can still show data while the instance is unreachable
+ */
+class OfflineCache {
+    /**
+     * @param {vscode.Uri} storageUri - Extension global storage folder
+     */
+    constructor(storageUri) {
+        this.folder = vscode.Uri.joinPath(storageUri, 'offline-cache');
+        // Loaded entries per profile: Promise<{ [key]: { data, timestamp, size } }>, `size` in JSON characters
+        this.profiles = new Map();
+        this.writeTimers = new Map();
+    }
+
+    /**
+     * Whether responses should be persisted (`gitea.offlineCache`)
+     */
+    get enabled() {
+        return vscode.workspace.getConfiguration('gitea').get('offlineCache', true);
+    }
+
+    /**
+     * @param {string} profileName - Profile name
+     * @returns {vscode.Uri}
+     */
+    getFile(profileName) {
+        return vscode.Uri.joinPath(this.folder, `${encodeURIComponent(profileName)}.json`);
+    }
+
+    /**
+     * Entries of a profile, read from disk on first use
+     * @param {string} profileName - Profile name
+     */
+    load(profileName) {
+        if (!this.profiles.has(profileName)) {
+            const loading = vscode.workspace.fs.readFile(this.getFile(profileName))
+                .then(content => JSON.parse(Buffer.from(content).toString('utf8')))
+                .catch(() => ({}));
+            this.profiles.set(profileName, loading);
+        }
+        return this.profiles.get(profileName);
+    }
+
+    /**
+     * Last-known response for a request
+     * @param {string} profileName - Profile name
+     * @param {string} key - Instance URL and endpoint
+     * @returns {Promise<{data: *, timestamp: number}|null>}
+     */
+    async get(profileName, key) {
+        if (!profileName || !this.enabled) return null;
+        const entries = await this.load(profileName);
+        return entries[key] || null;
+    }
+
+    /**
+     * Remember a successful response and schedule a write
+     * @param {string} profileName - Profile name
+     * @param {string} key - Instance URL and endpoint
+     * @param {*} data - Parsed response
+     */
+    async set(profileName, key, data) {
+        if (!profileName || !this.enabled) return;
+        const size = JSON.stringify(data)?.length || 0;
+        const entries = await this.load(profileName);
+        if (size > MAX_ENTRY_SIZE) {
+            // Too large to rewrite on every flush; an older copy would be stale
+            if (key in entries) {
+                delete entries[key];
+                this.scheduleWrite(profileName);
+            }
+            return;
+        }
+        this.scheduleWrite(profileName);
+        delete entries[key];
+        entries[key] = { data, timestamp: Date.now(), size };
+
+        // Objects keep insertion order, so the first keys are the oldest
+        const keys = Object.keys(entries);
+        let total = keys.reduce((sum, entryKey) => sum + getSize(entries[entryKey]), 0);
+        for (let i = 0; i < keys.length - 1 && (keys.length - i > MAX_ENTRIES || total > MAX_SIZE); i++) {
+            total -= getSize(entries[keys[i]]);
+            delete entries[keys[i]];
+        }
+    }
+
+    /**
+     * @param {string} profileName - Profile name
+     */
+    scheduleWrite(profileName) {
+        if (this.writeTimers.has(profileName)) return;
+        this.writeTimers.set(profileName, setTimeout(() => {
+            this.writeTimers.delete(profileName);
+            this.write(profileName).catch(error => getLogger().error('Failed to write offline cache:', error));
+        }, WRITE_DELAY));
+    }
+
+    /**
+     * @param {string} profileName - Profile name
+     */
+    async write(profileName) {
+        const entries = await this.load(profileName);
+        await vscode.workspace.fs.createDirectory(this.folder);
+        await vscode.workspace.fs.writeFile(this.getFile(profileName), Buffer.from(JSON.stringify(entries), 'utf8'));
+    }
+
+    /**
+     * Forget a profile's responses, e.g. when the profile is removed
+     * @param {string} profileName - Profile name
+     */
+    async clear(profileName) {
+        clearTimeout(this.writeTimers.get(profileName));
+        this.writeTimers.delete(profileName);
+        this.profiles.delete(profileName);
+        try {
+            await vscode.workspace.fs.delete(this.getFile(profileName));
+        } catch {
+            // Nothing was stored for this profile
+        }
+    }
+
+    /**
+     * Write pending changes immediately
+     */
+    async flush() {
+        const pending = [...this.writeTimers.keys()];
+        for (const profileName of pending) {
+            clearTimeout(this.writeTimers.get(profileName));
+            this.writeTimers.delete(profileName);
+        }
+        await Promise.all(pending.map(profileName => this.write(profileName)));
+    }
+
+    dispose() {
+        this.flush().catch(error => getLogger().error('Failed to write offline cache:', error));
+    }
+}
+
+/**
+ * Size of an entry in JSON characters; entries written before sizes were recorded are measured once
+ */
+function getSize(entry) {
+    entry.size ??= JSON.stringify(entry.data)?.length || 0;
+    return entry.size;
+}
+
+module.exports = OfflineCache;
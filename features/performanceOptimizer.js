@@ -1,11 +1,22 @@
+const { CancelledError } = require('./errors');
+
 /**
- * Simple cache manager for API responses
- * Implements TTL-based cache invalidation
+ * Size-bounded LRU cache for API responses.
+ * Entries expire after their TTL (per entry, defaulting to the cache's); entries stored with
+ * validators (`ETag`/`Last-Modified`) outlive it so they can be revalidated. When the entry or
+ * memory cap is exceeded, expired entries go first, then the least recently used.
  */
 class CacheManager {
-    constructor(ttl = 10000) { // 10 seconds default
+    /**
+     * @param {number} [ttl] - Default time to live in ms
+     * @param {{maxEntries?: number, maxSize?: number}} [limits] - Caps on entry count and estimated size in bytes
+     */
+    constructor(ttl = 10000, limits = {}) { // 10 seconds default
         this.cache = new Map();
         this.ttl = ttl;
+        this.maxEntries = limits.maxEntries ?? 1000;
+        this.maxSize = limits.maxSize ?? 32 * 1024 * 1024; // 32 MB
+        this.size = 0;
     }
 
     /**
@@ -16,22 +27,74 @@ class CacheManager {
         if (!item) return null;
 
         // Check if cache has expired
-        if (Date.now() - item.timestamp > this.ttl) {
-            this.cache.delete(key);
+        if (this.isExpired(item)) {
+            // Keep revalidatable entries for a conditional request
+            if (!item.etag && !item.lastModified) {
+                this.remove(key);
+            }
             return null;
         }
 
+        this.touch(key, item);
         return item.value;
     }
 
     /**
      * Set cache value
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     * @param {{ttl?: number, size?: number, etag?: string, lastModified?: string}} [options] - Time to live
+     * for this entry, its size in bytes (estimated when omitted) and response validators for revalidation
      */
-    set(key, value) {
+    set(key, value, options = {}) {
+        const size = options.size ?? estimateSize(value);
+        this.remove(key);
+        // Would push out everything else
+        if (size > this.maxSize) return;
+
         this.cache.set(key, {
             value,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ttl: options.ttl ?? this.ttl,
+            size,
+            etag: options.etag || null,
+            lastModified: options.lastModified || null
         });
+        this.size += size;
+        this.evict();
+    }
+
+    /**
+     * Get an entry that can be revalidated, even if its TTL has passed
+     * @returns {{value: *, etag: string|null, lastModified: string|null}|null}
+     */
+    getValidated(key) {
+        const item = this.cache.get(key);
+        if (!item || (!item.etag && !item.lastModified)) return null;
+        this.touch(key, item);
+        return item;
+    }
+
+    /**
+     * Mark an entry as fresh again after the server confirmed it is unchanged (304)
+     */
+    revalidate(key) {
+        const item = this.cache.get(key);
+        if (item) {
+            item.timestamp = Date.now();
+        }
+    }
+
+    /**
+     * Remove every entry whose key matches, e.g. lists made stale by a write
+     * @param {(key: string) => boolean} predicate
+     */
+    invalidate(predicate) {
+        for (const key of [...this.cache.keys()]) {
+            if (predicate(key)) {
+                this.remove(key);
+            }
+        }
     }
 
     /**
@@ -39,9 +102,10 @@ class CacheManager {
      */
     clear(key = null) {
         if (key) {
-            this.cache.delete(key);
+            this.remove(key);
         } else {
             this.cache.clear();
+            this.size = 0;
         }
     }
 
@@ -49,13 +113,125 @@ class CacheManager {
      * Clear expired items
      */
     prune() {
-        const now = Date.now();
         for (const [key, item] of this.cache.entries()) {
-            if (now - item.timestamp > this.ttl) {
-                this.cache.delete(key);
+            if (this.isExpired(item) && !item.etag && !item.lastModified) {
+                this.remove(key);
             }
         }
     }
+
+    /**
+     * Drop entries until the cache fits its caps: expired ones first, then the least recently used
+     */
+    evict() {
+        if (!this.isOverLimit()) return;
+        this.prune();
+        // Map keeps insertion order and `touch()` re-inserts on use, so the first key is the least recently used
+        for (const key of this.cache.keys()) {
+            if (!this.isOverLimit()) return;
+            this.remove(key);
+        }
+    }
+
+    isOverLimit() {
+        return this.cache.size > this.maxEntries || this.size > this.maxSize;
+    }
+
+    isExpired(item) {
+        return Date.now() - item.timestamp > item.ttl;
+    }
+
+    /**
+     * Mark an entry as most recently used
+     */
+    touch(key, item) {
+        this.cache.delete(key);
+        this.cache.set(key, item);
+    }
+
+    remove(key) {
+        const item = this.cache.get(key);
+        if (!item) return;
+        this.size -= item.size;
+        this.cache.delete(key);
+    }
+}
+
+/**
+ * Rough memory footprint of a cached value in bytes (UTF-16 length of its JSON form)
+ * @param {*} value
+ * @returns {number}
+ */
+function estimateSize(value) {
+    if (typeof value === 'string') return value.length * 2;
+    try {
+        return (JSON.stringify(value)?.length || 0) * 2;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Runs async tasks (API requests) with bounded concurrency.
+ * Queued tasks start in priority order: 'high' (user actions), 'normal' (view loads), then 'low'
+ * (background polling); tasks of the same priority start in the order they were scheduled.
+ */
+class RequestScheduler {
+    constructor(concurrency = 4) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.queues = { high: [], normal: [], low: [] };
+    }
+
+    /**
+     * Run a task once a slot is free
+     * @param {() => Promise<*>} task - Task to run
+     * @param {'high'|'normal'|'low'} [priority] - Queue priority
+     * @param {AbortSignal} [signal] - Removes the task from the queue if aborted before it starts
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule(task, priority = 'normal', signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new CancelledError());
+                return;
+            }
+            const queue = this.queues[priority] || this.queues.normal;
+            const entry = { task, resolve, reject, signal };
+            if (signal) {
+                entry.onAbort = () => {
+                    const index = queue.indexOf(entry);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                        reject(new CancelledError());
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            queue.push(entry);
+            this.next();
+        });
+    }
+
+    /**
+     * Start queued tasks while slots are free
+     */
+    next() {
+        while (this.running < this.concurrency) {
+            const entry = this.queues.high.shift() || this.queues.normal.shift() || this.queues.low.shift();
+            if (!entry) return;
+
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            this.running++;
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
 }
 
 /**
@@ -89,6 +265,7 @@ function throttle(func, limit) {
 
 module.exports = {
     CacheManager,
+    RequestScheduler,
     debounce,
     throttle
 };
@@ -0,0 +1,397 @@
+const vscode = require('vscode');
+const { AuthError, NotFoundError, NetworkError } = require('./errors');
+const { CacheManager } = require('./performanceOptimizer');
+const { collect } = require('./giteaClient');
+
+const GITEA_SCHEME = 'gitea';
+// Directory listings are kept this long; the same ref name can move to a new commit
+const LISTING_TTL = 60 * 1000; // 1 minute
+const MAX_LISTINGS = 500;
+
+/**
+ * Build a `gitea://` URI: `gitea://<profile>/<owner>/<repo>/<ref>/<path>`.
+ * Git ref names cannot contain `:`, so the slashes of a ref like `feature/x` are stored as `:`
+ * to keep the ref in a single path segment.
+ * @param {{profile: string, owner: string, repo: string, ref: string, path?: string}} location
+ * @returns {vscode.Uri}
+ */
+function toGiteaUri({ profile, owner, repo, ref, path = '' }) {
+    const segments = [owner, repo, ref.replace(/\//g, ':'), ...path.split('/').filter(Boolean)];
+    return vscode.Uri.from({ scheme: GITEA_SCHEME, authority: profile, path: `/${segments.join('/')}` });
+}
+
+/**
+ * Split a `gitea://` URI into profile, repository, ref and path
+ * @param {vscode.Uri} uri
+ * @returns {{profile: string, owner: string, repo: string, ref: string, path: string}}
+ */
+function parseGiteaUri(uri) {
+    const [owner, repo, ref, ...rest] = uri.path.split('/').filter(Boolean);
+    if (!owner || !repo || !ref) {
+        throw vscode.FileSystemError.FileNotFound(uri);
+    }
+    return { profile: uri.authority, owner, repo, ref: ref.replace(/:/g, '/'), path: rest.join('/') };
+}
+
+/**
+ * Translate an API error into the error VS Code expects from a file system provider
+ */
+function toFileSystemError(error, uri) {
+    if (error instanceof NotFoundError) return vscode.FileSystemError.FileNotFound(uri);
+    if (error instanceof AuthError) return vscode.FileSystemError.NoPermissions(uri);
+    if (error instanceof NetworkError) return vscode.FileSystemError.Unavailable(uri);
+    return error;
+}
+
+function toFileType(entry) {
+    switch (entry.type) {
+        case 'dir':
+        case 'submodule':
+            return vscode.FileType.Directory;
+        case 'symlink':
+            return vscode.FileType.File | vscode.FileType.SymbolicLink;
+        default:
+            return vscode.FileType.File;
+    }
+}
+
+/**
+ * Read-only file system over the contents API, so a repository can be opened as a workspace
+ * folder or file by file without cloning it. Registered for the `gitea` scheme.
+ */
+class GiteaFileSystemProvider {
+    constructor(auth) {
+        this.auth = auth;
+        this.listings = new CacheManager(LISTING_TTL, { maxEntries: MAX_LISTINGS });
+        // Listings being requested, so the many `stat()` calls of one directory share a request
+        this.pendingListings = new Map();
+        // Never fired; the files only change when the ref is switched
+        this._onDidChangeFile = new vscode.EventEmitter();
+        this.onDidChangeFile = this._onDidChangeFile.event;
+    }
+
+    watch() {
+        return new vscode.Disposable(() => {});
+    }
+
+    async stat(uri) {
+        const location = parseGiteaUri(uri);
+        if (!location.path) {
+            return { type: vscode.FileType.Directory, ctime: 0, mtime: 0, size: 0 };
+        }
+
+        const parentPath = location.path.split('/').slice(0, -1).join('/');
+        const entries = await this.listDirectory({ ...location, path: parentPath }, uri);
+        const entry = entries.find(candidate => candidate.path === location.path);
+        if (!entry) {
+            throw vscode.FileSystemError.FileNotFound(uri);
+        }
+        return { type: toFileType(entry), ctime: 0, mtime: 0, size: entry.size || 0 };
+    }
+
+    async readDirectory(uri) {
+        const entries = await this.listDirectory(parseGiteaUri(uri), uri);
+        return entries.map(entry => [entry.name, toFileType(entry)]);
+    }
+
+    async readFile(uri) {
+        const { profile, owner, repo, ref, path } = parseGiteaUri(uri);
+        let entry;
+        try {
+            entry = await this.auth.client.getContents(owner, repo, path, ref, { profile, priority: 'high' });
+        } catch (error) {
+            throw toFileSystemError(error, uri);
+        }
+
+        if (Array.isArray(entry)) {
+            throw vscode.FileSystemError.FileIsADirectory(uri);
+        }
+        if (entry.type === 'symlink') {
+            return new TextEncoder().encode(entry.target || '');
+        }
+        if (typeof entry.content !== 'string') {
+            throw vscode.FileSystemError.Unavailable(`${path} is not returned by the contents API, e.g. because it is too large; open it in the browser instead.`);
+        }
+        return new Uint8Array(Buffer.from(entry.content, 'base64'));
+    }
+
+    writeFile(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    createDirectory(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    delete(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    rename(oldUri) {
+        throw vscode.FileSystemError.NoPermissions(oldUri);
+    }
+
+    /**
+     * Entries of a directory, from the listing cache when possible
+     * @param {{profile: string, owner: string, repo: string, ref: string, path: string}} location
+     * @param {vscode.Uri} uri - URI reported in errors
+     * @returns {Promise<import('./giteaClient').ContentsEntry[]>}
+     */
+    async listDirectory(location, uri) {
+        const key = toGiteaUri(location).toString();
+        const cached = this.listings.get(key);
+        if (cached) return cached;
+
+        if (!this.pendingListings.has(key)) {
+            const { profile, owner, repo, ref, path } = location;
+            const request = this.auth.client.getContents(owner, repo, path, ref, { profile, priority: 'high' })
+                .then(entries => {
+                    if (!Array.isArray(entries)) {
+                        throw vscode.FileSystemError.FileNotADirectory(uri);
+                    }
+                    this.listings.set(key, entries);
+                    return entries;
+                })
+                .finally(() => this.pendingListings.delete(key));
+            this.pendingListings.set(key, request);
+        }
+
+        try {
+            return await this.pendingListings.get(key);
+        } catch (error) {
+            throw toFileSystemError(error, uri);
+        }
+    }
+
+    dispose() {
+        this._onDidChangeFile.dispose();
+    }
+}
+
+/**
+ * Commands around `gitea://` folders: open a repository without cloning, switch its ref and
+ * clone it. A status bar item shows the ref of the active remote file and switches it on click.
+ */
+class RemoteRepositoryBrowser {
+    /**
+     * @param {import('./auth')} auth
+     * @param {GiteaFileSystemProvider} provider
+     */
+    constructor(auth, provider) {
+        this.auth = auth;
+        this.provider = provider;
+
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+        this.statusBarItem.command = 'gitea.switchRemoteRef';
+        this.disposables = [
+            this.statusBarItem,
+            vscode.window.onDidChangeActiveTextEditor(() => this.updateStatusBar())
+        ];
+        this.updateStatusBar();
+    }
+
+    updateStatusBar() {
+        const uri = vscode.window.activeTextEditor?.document.uri;
+        if (uri?.scheme !== GITEA_SCHEME) {
+            this.statusBarItem.hide();
+            return;
+        }
+        const { owner, repo, ref } = parseGiteaUri(uri);
+        this.statusBarItem.text = `$(git-branch) ${ref}`;
+        this.statusBarItem.tooltip = `${owner}/${repo} (read-only) - switch branch or tag`;
+        this.statusBarItem.show();
+    }
+
+    /**
+     * Open a repository at its default branch as a read-only workspace folder or in a file picker
+     * @param {object} [item] - Repository tree item; asks for `owner/repo` when missing
+     */
+    async browse(item) {
+        let repository = item?.repository;
+        const profile = item?.metadata?.profile || this.auth.activeProfile;
+
+        if (!repository) {
+            const fullName = await vscode.window.showInputBox({
+                prompt: 'Repository to browse without cloning',
+                placeHolder: 'owner/repo',
+                validateInput: value => /^[^/\s]+\/[^/\s]+$/.test(value.trim()) ? null : 'Enter the repository as owner/repo'
+            });
+            if (!fullName) return;
+            const [owner, repo] = fullName.trim().split('/');
+            repository = await this.auth.client.getRepo(owner, repo, { profile, priority: 'high' });
+        }
+
+        const [owner, repo] = repository.full_name.split('/');
+        const location = { profile, owner, repo, ref: repository.default_branch, path: '' };
+        const choice = await vscode.window.showQuickPick([
+            { label: '$(root-folder) Add to Workspace', description: 'Read-only folder in the Explorer', action: 'workspace' },
+            { label: '$(file) Browse Files', description: 'Pick a file to open', action: 'files' }
+        ], { placeHolder: `Browse ${repository.full_name} at ${location.ref}` });
+        if (!choice) return;
+
+        if (choice.action === 'workspace') {
+            this.addWorkspaceFolder(location);
+        } else {
+            await this.browseFiles(toGiteaUri(location));
+        }
+    }
+
+    addWorkspaceFolder(location) {
+        const folders = vscode.workspace.workspaceFolders || [];
+        const uri = toGiteaUri({ ...location, path: '' });
+        if (folders.some(folder => folder.uri.toString() === uri.toString())) {
+            vscode.window.showInformationMessage(`${location.owner}/${location.repo} (${location.ref}) is already in the workspace.`);
+            return;
+        }
+        vscode.workspace.updateWorkspaceFolders(folders.length, 0, { uri, name: getFolderName(location) });
+    }
+
+    /**
+     * Walk the directories of a remote repository in a quick pick and open the chosen file
+     * @param {vscode.Uri} uri - Directory to start in
+     */
+    async browseFiles(uri) {
+        let current = uri;
+        for (;;) {
+            const location = parseGiteaUri(current);
+            const entries = await this.provider.readDirectory(current);
+            entries.sort(([nameA, typeA], [nameB, typeB]) =>
+                (typeB & vscode.FileType.Directory) - (typeA & vscode.FileType.Directory) || nameA.localeCompare(nameB));
+
+            const items = entries.map(([name, type]) => ({
+                label: `$(${type & vscode.FileType.Directory ? 'folder' : 'file'}) ${name}`,
+                name,
+                isDirectory: Boolean(type & vscode.FileType.Directory)
+            }));
+            if (location.path) {
+                items.unshift({ label: '$(arrow-up) ..', up: true });
+            }
+
+            const picked = await vscode.window.showQuickPick(items, {
+                placeHolder: `${location.owner}/${location.repo} @ ${location.ref}: /${location.path}`
+            });
+            if (!picked) return;
+
+            if (picked.up) {
+                current = vscode.Uri.joinPath(current, '..');
+            } else if (picked.isDirectory) {
+                current = vscode.Uri.joinPath(current, picked.name);
+            } else {
+                await vscode.window.showTextDocument(vscode.Uri.joinPath(current, picked.name), { preview: true });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Switch a remote workspace folder, and the remote file in the active editor, to another branch or tag
+     * @param {vscode.Uri} [uri] - Remote file or folder; defaults to the active editor or the only remote folder
+     */
+    async switchRef(uri) {
+        const target = uri?.scheme === GITEA_SCHEME ? uri : this.getActiveUri();
+        if (!target) {
+            vscode.window.showWarningMessage('Open a file or folder of a remote Gitea repository first.');
+            return;
+        }
+
+        const location = parseGiteaUri(target);
+        const ref = await this.pickRef(location);
+        if (!ref || ref === location.ref) return;
+
+        const oldRoot = toGiteaUri({ ...location, path: '' }).toString();
+        const folders = vscode.workspace.workspaceFolders || [];
+        const index = folders.findIndex(folder => folder.uri.toString() === oldRoot);
+        if (index >= 0) {
+            const newLocation = { ...location, ref, path: '' };
+            vscode.workspace.updateWorkspaceFolders(index, 1, { uri: toGiteaUri(newLocation), name: getFolderName(newLocation) });
+        }
+
+        const active = vscode.window.activeTextEditor?.document.uri;
+        if (active?.scheme === GITEA_SCHEME) {
+            const activeLocation = parseGiteaUri(active);
+            if (activeLocation.profile === location.profile && activeLocation.owner === location.owner && activeLocation.repo === location.repo) {
+                const switched = toGiteaUri({ ...activeLocation, ref });
+                try {
+                    await this.provider.stat(switched);
+                    await vscode.window.showTextDocument(switched);
+                } catch {
+                    vscode.window.showWarningMessage(`${activeLocation.path} does not exist on ${ref}.`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Ask for a branch or tag of the repository
+     * @returns {Promise<string|undefined>}
+     */
+    async pickRef({ profile, owner, repo, ref }) {
+        const loadItems = async () => {
+            const options = { profile, priority: 'high' };
+            const maxItems = vscode.workspace.getConfiguration('gitea').get('pageSize', 50);
+            const [branches, tags] = await Promise.all([
+                collect(this.auth.client.iterateBranches(owner, repo, options)),
+                collect(this.auth.client.iterateTags(owner, repo, { ...options, maxItems }))
+            ]);
+            const toItem = (name, icon) => ({ label: `$(${icon}) ${name}`, description: name === ref ? 'current' : '', ref: name });
+            return [
+                { label: 'Branches', kind: vscode.QuickPickItemKind.Separator },
+                ...branches.map(branch => toItem(branch.name, 'git-branch')),
+                { label: 'Tags', kind: vscode.QuickPickItemKind.Separator },
+                ...tags.map(tag => toItem(tag.name, 'tag'))
+            ];
+        };
+
+        try {
+            const picked = await vscode.window.showQuickPick(loadItems(), { placeHolder: `Switch ${owner}/${repo} from ${ref} to` });
+            return picked?.ref;
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to load branches and tags: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Clone the repository of a remote file or folder through `gitea.openRepository`
+     * @param {vscode.Uri} [uri]
+     */
+    async clone(uri) {
+        const target = uri?.scheme === GITEA_SCHEME ? uri : this.getActiveUri();
+        if (!target) {
+            vscode.window.showWarningMessage('Open a file or folder of a remote Gitea repository first.');
+            return;
+        }
+
+        const { profile, owner, repo } = parseGiteaUri(target);
+        const repository = await this.auth.client.getRepo(owner, repo, { profile, priority: 'high' });
+        await vscode.commands.executeCommand('gitea.openRepository', { repository });
+    }
+
+    /**
+     * The remote file in the active editor, or the remote workspace folder when there is exactly one
+     * @returns {vscode.Uri|undefined}
+     */
+    getActiveUri() {
+        const active = vscode.window.activeTextEditor?.document.uri;
+        if (active?.scheme === GITEA_SCHEME) return active;
+
+        const remoteFolders = (vscode.workspace.workspaceFolders || []).filter(folder => folder.uri.scheme === GITEA_SCHEME);
+        return remoteFolders.length === 1 ? remoteFolders[0].uri : undefined;
+    }
+
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+function getFolderName({ owner, repo, ref }) {
+    return `${owner}/${repo} (${ref})`;
+}
+
+module.exports = {
+    GITEA_SCHEME,
+    GiteaFileSystemProvider,
+    RemoteRepositoryBrowser,
+    toGiteaUri,
+    parseGiteaUri
+};
@@ -2,6 +2,7 @@ const vscode = require('vscode');
 const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { getLogger } = require('./logger');
 
 class StashManager {
     constructor() {
@@ -48,7 +49,7 @@ class StashManager {
 
             throw new Error('No git repository found in workspace');
         } catch (error) {
-            console.error('Failed to get repository root:', error);
+            getLogger().error('Failed to get repository root:', error);
             throw error;
         }
     }
@@ -92,7 +93,7 @@ class StashManager {
 
             return this.stashes;
         } catch (error) {
-            console.error('Failed to list stashes:', error);
+            getLogger().error('Failed to list stashes:', error);
             vscode.window.showErrorMessage(`Failed to list stashes: ${error.message}`);
             return [];
         }
@@ -116,7 +117,7 @@ class StashManager {
             await this.listStashes();
             return true;
         } catch (error) {
-            console.error('Failed to create stash:', error);
+            getLogger().error('Failed to create stash:', error);
             vscode.window.showErrorMessage(`Failed to create stash: ${error.message}`);
             return false;
         }
@@ -150,7 +151,7 @@ class StashManager {
             vscode.window.showInformationMessage(`Applied stash: ${stashId}`);
             return true;
         } catch (error) {
-            console.error('Failed to apply stash:', error);
+            getLogger().error('Failed to apply stash:', error);
             vscode.window.showErrorMessage(`Failed to apply stash: ${error.message}`);
             return false;
         }
@@ -185,7 +186,7 @@ class StashManager {
             await this.listStashes();
             return true;
         } catch (error) {
-            console.error('Failed to pop stash:', error);
+            getLogger().error('Failed to pop stash:', error);
             vscode.window.showErrorMessage(`Failed to pop stash: ${error.message}`);
             return false;
         }
@@ -227,7 +228,7 @@ class StashManager {
             await this.listStashes();
             return true;
         } catch (error) {
-            console.error('Failed to drop stash:', error);
+            getLogger().error('Failed to drop stash:', error);
             vscode.window.showErrorMessage(`Failed to drop stash: ${error.message}`);
             return false;
         }
@@ -267,7 +268,7 @@ class StashManager {
 
             return true;
         } catch (error) {
-            console.error('Failed to show stash diff:', error);
+            getLogger().error('Failed to show stash diff:', error);
             vscode.window.showErrorMessage(`Failed to show stash diff: ${error.message}`);
             return false;
         }
@@ -1,7 +1,188 @@
 const vscode = require('vscode');
+const { NetworkError, CancelledError } = require('./errors');
+const { describeFilter, toIssueQuery, getSavedIssueQueries, parseSearchQuery, runIssueSearch } = require('./issueFilters');
+const ViewOptions = require('./viewOptions');
+const { collect } = require('./giteaClient');
+const { getLogger } = require('./logger');
+
+// A dropped connection fails every view at once; show one warning per burst instead of one per view
+const UNREACHABLE_NOTICE_INTERVAL = 30 * 1000; // 30 seconds
+let lastUnreachableNotice = 0;
+
+/**
+ * Report a failure to load a view
+ * @param {string} what - What was being loaded, e.g. 'issues'
+ * @param {Error} error - Error thrown by `makeRequest`
+ */
+function showLoadError(what, error) {
+    // A newer load or a dismissed search took over; nothing went wrong
+    if (error instanceof CancelledError) return;
+    // A rejected token already prompted to sign in again (see `GiteaAuth.setTokenRejected()`)
+    if (error.statusCode === 401) {
+        getLogger().error(`Failed to load ${what}:`, error);
+        return;
+    }
+    if (error instanceof NetworkError) {
+        getLogger().error(`Failed to load ${what}:`, error);
+        if (Date.now() - lastUnreachableNotice < UNREACHABLE_NOTICE_INTERVAL) return;
+        lastUnreachableNotice = Date.now();
+        vscode.window.showWarningMessage(error.message);
+        return;
+    }
+    vscode.window.showErrorMessage(`Failed to load ${what}: ${error.message}`);
+}
+
+/**
+ * Cancel the provider's in-flight load (tree refresh or search) and start a new one
+ * @param {object} provider - Tree data provider
+ * @param {vscode.CancellationToken} [cancellationToken] - Also cancel when this token fires (e.g. dismissed progress)
+ * @returns {AbortSignal}
+ */
+function supersedeLoad(provider, cancellationToken) {
+    provider.loadController?.abort();
+    const controller = new AbortController();
+    provider.loadController = controller;
+    cancellationToken?.onCancellationRequested(() => controller.abort());
+    return controller.signal;
+}
+
+/**
+ * Page length of closed issues and pull requests and of saved query results, and the items shown for
+ * recent commits and search results (`gitea.pageSize`, one page)
+ */
+function getClosedItemsLimit() {
+    return vscode.workspace.getConfiguration('gitea').get('pageSize', 50);
+}
+
+/**
+ * First 7 characters of a commit SHA
+ * @param {string} [sha]
+ * @returns {string}
+ */
+function shortSha(sha) {
+    return sha ? sha.substring(0, 7) : '';
+}
+
+/**
+ * Encode a branch or tag name for a web URL, keeping the slashes of names like `feature/x`
+ * @param {string} name
+ * @returns {string}
+ */
+function encodeRefPath(name) {
+    return name.split('/').map(encodeURIComponent).join('/');
+}
+
+// Icons of the groups a repository's issues or pull requests are split into, by grouping
+const FIELD_GROUP_ICONS = {
+    milestone: 'milestone',
+    label: 'tag',
+    assignee: 'person',
+    author: 'account'
+};
+
+/**
+ * Nodes for a repository's items grouped by milestone, label, assignee or author instead of state
+ * @param {ViewOptions} viewOptions - Grouping and sort order of the view
+ * @param {vscode.TreeItem} parent - Repository group node
+ * @param {vscode.TreeItem[]} items - Issue or pull request items of every state
+ * @param {string} contextValue - Context value of the group nodes
+ * @returns {vscode.TreeItem[]}
+ */
+function createFieldGroups(viewOptions, parent, items, contextValue) {
+    return viewOptions.groupItems(items).map(({ name, items: groupItems }) => {
+        const node = new vscode.TreeItem(`${name} (${groupItems.length})`, vscode.TreeItemCollapsibleState.Collapsed);
+        node.iconPath = new vscode.ThemeIcon(FIELD_GROUP_ICONS[viewOptions.groupBy]);
+        node.contextValue = contextValue;
+        node.id = `${parent.id}:${viewOptions.groupBy}:${name}`;
+        // An item with several labels or assignees is listed in several groups; the tree needs a separate element for each
+        node.items = groupItems.map(item => Object.assign(Object.create(Object.getPrototypeOf(item)), item));
+        return node;
+    });
+}
+
+/**
+ * Issues or pull requests of one repository loaded a page at a time: a Closed section, counted up front and
+ * loaded once expanded, or the results of a saved query
+ * @param {object} repo - Repository
+ * @param {object} params - Query parameters of the list
+ * @param {number|null} total - Size of the list from `X-Total-Count`; null when the server omits it
+ */
+function createPagedList(repo, params, total) {
+    return { repo, params, total, items: [], nextPage: 1, fetched: 0, done: false, loading: false };
+}
+
+/**
+ * Record a loaded page in a paged list
+ * @param {object} list - List from `createPagedList()`
+ * @param {import('./giteaClient').Page<object>} page - Page as returned by `GiteaAuth.fetchPage()`
+ * @param {vscode.TreeItem[]} items - Tree items for the page
+ */
+function addPage(list, page, items) {
+    list.items.push(...items);
+    list.total = page.total ?? list.total;
+    list.fetched += page.items.length;
+    list.nextPage++;
+    list.done = page.items.length < page.pageSize || (list.total !== null && list.fetched >= list.total);
+}
+
+/**
+ * Children of an expanded paged group: the loaded items and, while pages remain, a "Load more…" node
+ * @param {ViewOptions} viewOptions - Sort order of the view
+ * @param {vscode.TreeItem} group - Group node, passed to `command`
+ * @param {object} list - List from `createPagedList()`
+ * @param {string} command - Command that loads the next page
+ * @returns {vscode.TreeItem[]}
+ */
+function getPagedChildren(viewOptions, group, list, command) {
+    const children = [...viewOptions.sortItems(list.items)];
+    if (!list.done) {
+        const remaining = list.total !== null ? ` (${list.total - list.fetched} more)` : '';
+        const loadMore = new vscode.TreeItem(`Load more…${remaining}`, vscode.TreeItemCollapsibleState.None);
+        loadMore.iconPath = new vscode.ThemeIcon(list.loading ? 'loading~spin' : 'ellipsis');
+        loadMore.contextValue = 'loadMore';
+        loadMore.command = { command, title: 'Load More', arguments: [group] };
+        if (viewOptions.sort !== 'default') {
+            loadMore.tooltip = 'The sort order covers the items loaded so far; later pages can hold items that sort before them';
+        }
+        children.push(loadMore);
+    }
+    return children;
+}
+
+/**
+ * Tooltip of a Closed group, which is loaded a page at a time and therefore not grouped or sorted as a whole
+ * @param {ViewOptions} viewOptions - Grouping of the view
+ * @param {string} what - Items of the group, e.g. 'Closed issues'
+ * @returns {string}
+ */
+function getPagedGroupTooltip(viewOptions, what) {
+    const lines = [`${what} are loaded a page at a time; sorting applies to the pages loaded so far.`];
+    if (viewOptions.groupBy !== 'state') lines.push(`They stay in this section instead of being grouped by ${viewOptions.groupBy}.`);
+    return lines.join('\n');
+}
+
+/**
+ * Label of a state group, e.g. `Closed (120)`; without a count when the server does not report it
+ */
+function getStateGroupLabel(state, count) {
+    return count === null || count === undefined ? state : `${state} (${count})`;
+}
+
+/**
+ * Top-level node grouping everything loaded from one profile's instance
+ */
+function createProfileNode(auth, profileName, contextValue) {
+    const node = new vscode.TreeItem(profileName, vscode.TreeItemCollapsibleState.Expanded);
+    node.description = auth.profiles[profileName]?.instanceUrl || auth.instanceUrl;
+    node.iconPath = new vscode.ThemeIcon(profileName === auth.activeProfile ? 'account' : 'server');
+    node.contextValue = contextValue;
+    node.id = `profile:${profileName}`;
+    node.profile = profileName;
+    return node;
+}
 
 class RepositoryTreeItem extends vscode.TreeItem {
-    constructor(repository, collapsibleState) {
+    constructor(repository, collapsibleState, profile = null) {
         super(repository.name, collapsibleState);
 
         this.repository = repository;
@@ -17,13 +198,36 @@ class RepositoryTreeItem extends vscode.TreeItem {
             owner: repository.owner?.login,
             private: repository.private,
             htmlUrl: repository.html_url,
-            cloneUrl: repository.clone_url
+            cloneUrl: repository.clone_url,
+            profile
         };
     }
 }
 
+// Child groups of an expanded repository, loaded when the group itself is expanded
+const REPOSITORY_GROUPS = [
+    { label: 'Branches', icon: 'git-branch', contextValue: 'repoBranches' },
+    { label: 'Tags', icon: 'tag', contextValue: 'repoTags' },
+    { label: 'Releases', icon: 'package', contextValue: 'repoReleases' },
+    { label: 'Recent Commits', icon: 'git-commit', contextValue: 'repoCommits' }
+];
+
+/**
+ * Branch, tag, release or commit of a repository. `ref` carries what the ref commands need:
+ * `kind`, `name` (ref to check out or compare), `sha`, `htmlUrl`, `repository` (full name) and `profile`.
+ */
+class RefTreeItem extends vscode.TreeItem {
+    constructor(label, ref, repository) {
+        super(label, vscode.TreeItemCollapsibleState.None);
+
+        this.ref = ref;
+        this.repository = repository;
+        this.contextValue = `repo${ref.kind[0].toUpperCase()}${ref.kind.slice(1)}`;
+    }
+}
+
 class IssueTreeItem extends vscode.TreeItem {
-    constructor(issue, repositoryName) {
+    constructor(issue, repositoryName, profile = null) {
         super(`#${issue.number}: ${issue.title}`, vscode.TreeItemCollapsibleState.None);
 
         this.issue = issue;
@@ -41,13 +245,14 @@ class IssueTreeItem extends vscode.TreeItem {
             title: issue.title,
             state: issue.state,
             repository: repositoryName,
-            htmlUrl: issue.html_url
+            htmlUrl: issue.html_url,
+            profile
         };
     }
 }
 
 class PullRequestTreeItem extends vscode.TreeItem {
-    constructor(pullRequest, repositoryName) {
+    constructor(pullRequest, repositoryName, profile = null) {
         super(`#${pullRequest.number}: ${pullRequest.title}`, vscode.TreeItemCollapsibleState.None);
 
         this.pullRequest = pullRequest;
@@ -66,7 +271,8 @@ class PullRequestTreeItem extends vscode.TreeItem {
             state: pullRequest.state,
             repository: repositoryName,
             htmlUrl: pullRequest.html_url,
-            draft: pullRequest.draft || false
+            draft: pullRequest.draft || false,
+            profile
         };
     }
 }
@@ -89,227 +295,433 @@ class RepositoryProvider {
         try {
             if (!element) {
                 if (this.mode === 'search') {
-                    return (this.repositories || []).map(repo => new RepositoryTreeItem(repo, vscode.TreeItemCollapsibleState.None));
+                    return (this.repositories || []).map(repo => new RepositoryTreeItem(repo, vscode.TreeItemCollapsibleState.Collapsed));
                 }
-                const repos = await this.auth.makeRequest('/api/v1/user/repos');
-                this.repositories = this.filterRepositoriesByWorkspace(repos || []);
                 this.mode = 'all';
-                return this.repositories.map(repo => new RepositoryTreeItem(repo, vscode.TreeItemCollapsibleState.None));
+                supersedeLoad(this);
+                const profiles = await this.auth.getWorkspaceProfiles();
+                if (profiles.length > 1) {
+                    return profiles.map(profile => createProfileNode(this.auth, profile, 'repoProfileGroup'));
+                }
+                return await this.getRepositoryItems(profiles[0]);
+            }
+            if (element.contextValue === 'repoProfileGroup') {
+                return await this.getRepositoryItems(element.profile);
+            }
+            if (element.contextValue === 'repository') {
+                return this.getRepositoryGroups(element);
+            }
+            if (element.refGroup) {
+                return await this.getRefItems(element);
             }
         } catch (error) {
-            vscode.window.showErrorMessage(`Failed to load repositories: ${error.message}`);
+            showLoadError(element?.refGroup ? `${element.label.toLowerCase()} of ${element.repository.full_name}` : 'repositories', error);
+        }
+        return [];
+    }
+
+    async getRepositoryItems(profile) {
+        const repos = await this.auth.client.listMyRepos({ profile, signal: this.loadController?.signal });
+        const workspaceRepos = this.auth.workspaceRepositories.filter(repos || []);
+        return workspaceRepos.map(repo => new RepositoryTreeItem(repo, vscode.TreeItemCollapsibleState.Collapsed, profile));
+    }
+
+    /**
+     * Branches, Tags, Releases and Recent Commits nodes of a repository; nothing is requested until one is expanded
+     * @param {RepositoryTreeItem} element
+     * @returns {vscode.TreeItem[]}
+     */
+    getRepositoryGroups(element) {
+        return REPOSITORY_GROUPS.map(group => {
+            const node = new vscode.TreeItem(group.label, vscode.TreeItemCollapsibleState.Collapsed);
+            node.iconPath = new vscode.ThemeIcon(group.icon);
+            node.contextValue = group.contextValue;
+            node.refGroup = group.contextValue;
+            node.repository = element.repository;
+            node.profile = element.metadata.profile;
+            return node;
+        });
+    }
+
+    /**
+     * Load the refs of an expanded group node
+     * @param {vscode.TreeItem} group - Node created by `getRepositoryGroups()`
+     * @returns {Promise<RefTreeItem[]>}
+     */
+    async getRefItems(group) {
+        const repository = group.repository;
+        const [owner, repo] = repository.full_name.split('/');
+        const options = { profile: group.profile, signal: this.loadController?.signal };
+        const limit = getClosedItemsLimit();
+        const refOf = (kind, name, sha, htmlUrl) => ({
+            kind, name, sha, htmlUrl, repository: repository.full_name, profile: group.profile
+        });
+
+        switch (group.refGroup) {
+            case 'repoBranches': {
+                const branches = await collect(this.auth.client.iterateBranches(owner, repo, options));
+                // Default branch first, the rest in the server's order
+                branches.sort((a, b) => (b.name === repository.default_branch) - (a.name === repository.default_branch));
+                return branches.map(branch => {
+                    const sha = branch.commit?.id;
+                    const markers = [];
+                    if (branch.name === repository.default_branch) markers.push('default');
+                    if (branch.protected) markers.push('protected');
+
+                    const item = new RefTreeItem(branch.name,
+                        refOf('branch', branch.name, sha, `${repository.html_url}/src/branch/${encodeRefPath(branch.name)}`), repository);
+                    item.description = [...markers, shortSha(sha)].filter(Boolean).join(' • ');
+                    item.tooltip = `${branch.name}${markers.length ? ` (${markers.join(', ')})` : ''}\n${branch.commit?.message?.split('\n')[0] || ''}`;
+                    item.iconPath = new vscode.ThemeIcon(branch.protected ? 'lock' : 'git-branch');
+                    return item;
+                });
+            }
+            case 'repoTags': {
+                const tags = await collect(this.auth.client.iterateTags(owner, repo, { ...options, maxItems: limit }));
+                return tags.map(tag => {
+                    const sha = tag.commit?.sha;
+                    const item = new RefTreeItem(tag.name,
+                        refOf('tag', tag.name, sha, `${repository.html_url}/src/tag/${encodeRefPath(tag.name)}`), repository);
+                    item.description = shortSha(sha);
+                    item.tooltip = tag.message ? `${tag.name}\n${tag.message}` : tag.name;
+                    item.iconPath = new vscode.ThemeIcon('tag');
+                    return item;
+                });
+            }
+            case 'repoReleases': {
+                const releases = await collect(this.auth.client.iterateReleases(owner, repo, { ...options, maxItems: limit }));
+                return releases.map(release => {
+                    const markers = [release.tag_name];
+                    if (release.draft) markers.push('draft');
+                    if (release.prerelease) markers.push('pre-release');
+                    if (release.published_at) markers.push(new Date(release.published_at).toLocaleDateString());
+
+                    const item = new RefTreeItem(release.name || release.tag_name,
+                        refOf('release', release.tag_name, null, release.html_url), repository);
+                    item.description = markers.join(' • ');
+                    item.tooltip = `${release.name || release.tag_name}\nTag: ${release.tag_name}`;
+                    item.iconPath = new vscode.ThemeIcon('package');
+                    return item;
+                });
+            }
+            case 'repoCommits': {
+                const commits = await this.auth.client.listCommits(owner, repo, {}, { ...options, maxItems: limit });
+                return (commits || []).map(commit => {
+                    const message = commit.commit?.message || '';
+                    const author = commit.commit?.author?.name || commit.author?.login || '';
+                    const item = new RefTreeItem(message.split('\n')[0] || commit.sha,
+                        refOf('commit', commit.sha, commit.sha, commit.html_url), repository);
+                    item.description = [shortSha(commit.sha), author].filter(Boolean).join(' • ');
+                    item.tooltip = `${commit.sha}\n${author}\n\n${message}`;
+                    item.iconPath = new vscode.ThemeIcon('git-commit');
+                    return item;
+                });
+            }
         }
         return [];
     }
 
-    async searchRepositories(query) {
+    async searchRepositories(query, cancellationToken) {
         try {
-            const repos = await this.auth.makeRequest(`/api/v1/repos/search?q=${encodeURIComponent(query)}`);
-            this.repositories = repos?.data || [];
+            const signal = supersedeLoad(this, cancellationToken);
+            const repos = await this.auth.client.searchRepos(query, { signal });
+            if (signal.aborted) return;
+            this.repositories = repos;
             this.mode = 'search';
             this.lastQuery = query;
             this.refresh();
-        } catch (error) { vscode.window.showErrorMessage(`Failed to search repositories: ${error.message}`); }
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            vscode.window.showErrorMessage(`Failed to search repositories: ${error.message}`);
+        }
     }
 
     resetSearch() { this.mode = 'all'; this.lastQuery = ''; this.repositories = []; }
-
-    filterRepositoriesByWorkspace(allRepos) {
-        const fs = require('fs');
-        const path = require('path');
-        const workspaceFolders = vscode.workspace.workspaceFolders || [];
-        if (workspaceFolders.length === 0) return [];
-        const findGitReposInDir = (dirPath, depth = 2) => {
-            const foundRepos = [];
-            if (depth < 0) return foundRepos;
-            try {
-                const gitPath = path.join(dirPath, '.git');
-                if (fs.existsSync(gitPath)) foundRepos.push(dirPath);
-                const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-                for (const entry of entries) {
-                    if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                        const subDirPath = path.join(dirPath, entry.name);
-                        foundRepos.push(...findGitReposInDir(subDirPath, depth - 1));
-                    }
-                }
-            } catch (err) { console.error(`Failed to scan directory ${dirPath}:`, err); }
-            return foundRepos;
-        };
-        const loadedRepos = [];
-        for (const repo of allRepos) {
-            for (const folder of workspaceFolders) {
-                const folderPath = folder.uri.fsPath;
-                const gitRepoPaths = findGitReposInDir(folderPath);
-                for (const repoPath of gitRepoPaths) {
-                    const gitConfigPath = path.join(repoPath, '.git', 'config');
-                    if (require('fs').existsSync(gitConfigPath)) {
-                        try {
-                            const gitConfig = require('fs').readFileSync(gitConfigPath, 'utf8');
-                            const cloneUrlNormalized = repo.clone_url.toLowerCase();
-                            const htmlUrlNormalized = repo.html_url.toLowerCase();
-                            if (gitConfig.toLowerCase().includes(cloneUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(htmlUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(repo.full_name.toLowerCase())) {
-                                if (!loadedRepos.some(r => r.id === repo.id)) loadedRepos.push(repo);
-                                break;
-                            }
-                        } catch (err) { console.error(`Failed to read git config for ${repoPath}:`, err); }
-                    }
-                }
-                if (loadedRepos.some(r => r.id === repo.id)) break;
-            }
-        }
-        return loadedRepos;
-    }
 }
 
 class IssueProvider {
-    constructor(auth) {
+    /**
+     * @param {import('./auth')} auth
+     * @param {vscode.Memento} [workspaceState] - Keeps the sort order and grouping of the view
+     */
+    constructor(auth, workspaceState) {
         this.auth = auth;
+        this.viewOptions = new ViewOptions(workspaceState, 'gitea.issues');
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
-        this.issues = { openByRepo: {}, closedByRepo: {} };
+        this.issues = { byProfile: {} };
+        // Paged lists of the saved queries' repository nodes, by node id
+        this.queryLists = new Map();
         this.mode = 'all';
         this.lastQuery = '';
+        // Structured filter applied to the repository groups, see `features/issueFilters.js`
+        this.filter = {};
     }
 
     refresh() { this._onDidChangeTreeData.fire(); }
     getTreeItem(element) { return element; }
 
+    /**
+     * Replace the filter of the repository groups and reload them
+     * @param {import('./issueFilters').IssueFilter} filter
+     */
+    setFilter(filter) {
+        this.filter = filter;
+        this.refresh();
+    }
+
     async getChildren(element) {
         if (!this.auth.isConfigured()) return [];
         try {
             if (!element) {
-                if (this.mode === 'search') return this.issues;
-                const repos = await this.auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = this.filterRepositoriesByWorkspace(repos || []);
-                const openByRepo = {};
-                const closedByRepo = {};
-                for (const repo of workspaceRepos) {
-                    try {
-                        const openIssues = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/issues?state=open`);
-                        const openItems = [];
-                        openIssues.forEach(issue => { if (!issue.pull_request) openItems.push(new IssueTreeItem(issue, repo.full_name)); });
-                        if (openItems.length > 0) openByRepo[repo.full_name] = openItems;
-
-                        const closedIssues = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/issues?state=closed`);
-                        const closedItems = [];
-                        closedIssues.forEach(issue => { if (!issue.pull_request) closedItems.push(new IssueTreeItem(issue, repo.full_name)); });
-                        if (closedItems.length > 0) closedByRepo[repo.full_name] = closedItems;
-                    } catch (err) { console.error(`Failed to fetch issues for ${repo.full_name}:`, err); }
-                }
-                this.issues = { openByRepo, closedByRepo };
+                if (this.mode === 'search') return this.viewOptions.sortItems(this.issues);
+                this.issues = { byProfile: {} };
+                this.queryLists = new Map();
                 this.mode = 'all';
-                const repoNames = new Set([...Object.keys(openByRepo), ...Object.keys(closedByRepo)]);
-                return Array.from(repoNames).map(repoName => {
-                    const total = (openByRepo[repoName]?.length || 0) + (closedByRepo[repoName]?.length || 0);
-                    const repoGroup = new vscode.TreeItem(`${repoName} (${total})`, vscode.TreeItemCollapsibleState.Collapsed);
-                    repoGroup.contextValue = 'issueRepoGroup';
-                    repoGroup.iconPath = new vscode.ThemeIcon('repo');
-                    repoGroup.id = `repo:${repoName}`;
-                    return repoGroup;
-                });
+                supersedeLoad(this);
+                const queryNodes = this.getSavedQueryNodes();
+                const profiles = await this.auth.getWorkspaceProfiles();
+                if (profiles.length > 1) {
+                    return [...queryNodes, ...profiles.map(profile => createProfileNode(this.auth, profile, 'issueProfileGroup'))];
+                }
+                return [...queryNodes, ...await this.getRepoGroups(profiles[0])];
+            }
+            if (element.contextValue === 'issueProfileGroup') {
+                return await this.getRepoGroups(element.profile);
+            }
+            if (element.contextValue === 'issueQuery') {
+                return await this.getQueryRepoGroups(element);
+            }
+            if (element.contextValue === 'issueQueryRepo') {
+                const list = this.queryLists.get(element.id);
+                return list ? getPagedChildren(this.viewOptions, element, list, 'gitea.loadMoreIssues') : [];
+            }
+            if (element.contextValue === 'issueFieldGroup') {
+                return element.items;
             }
             if (element.contextValue === 'issueRepoGroup') {
-                const repoName = element.id.substring('repo:'.length);
-                const openCount = this.issues.openByRepo[repoName]?.length || 0;
-                const closedCount = this.issues.closedByRepo[repoName]?.length || 0;
-                const openGroup = new vscode.TreeItem(`Open (${openCount})`, vscode.TreeItemCollapsibleState.Expanded);
+                const { openByRepo, closedByRepo } = this.issues.byProfile[element.profile] || {};
+                const openItems = openByRepo?.[element.repoName] || [];
+                const closedList = closedByRepo?.[element.repoName];
+                const openGroup = new vscode.TreeItem(`Open (${openItems.length})`, vscode.TreeItemCollapsibleState.Expanded);
                 openGroup.contextValue = 'issueStateGroup';
                 openGroup.iconPath = new vscode.ThemeIcon('issues');
-                openGroup.id = `repo:${repoName}:open`;
-                const closedGroup = new vscode.TreeItem(`Closed (${closedCount})`, vscode.TreeItemCollapsibleState.Collapsed);
+                openGroup.id = `${element.id}:open`;
+                const closedGroup = new vscode.TreeItem(getStateGroupLabel('Closed', closedList ? closedList.total : 0), vscode.TreeItemCollapsibleState.Collapsed);
                 closedGroup.contextValue = 'issueStateGroup';
                 closedGroup.iconPath = new vscode.ThemeIcon('issue-closed');
-                closedGroup.id = `repo:${repoName}:closed`;
+                closedGroup.id = `${element.id}:closed`;
+                closedGroup.tooltip = getPagedGroupTooltip(this.viewOptions, 'Closed issues');
+                for (const group of [openGroup, closedGroup]) {
+                    group.profile = element.profile;
+                    group.repoName = element.repoName;
+                }
+                openGroup.state = 'open';
+                closedGroup.state = 'closed';
+                if (this.viewOptions.groupBy !== 'state') {
+                    // Closed issues are loaded page by page, so they keep their own section
+                    const groups = createFieldGroups(this.viewOptions, element, openItems, 'issueFieldGroup');
+                    return closedList ? [...groups, closedGroup] : groups;
+                }
                 return [openGroup, closedGroup];
             }
             if (element.contextValue === 'issueStateGroup') {
-                const parts = element.id.split(':');
-                const repoName = parts[1];
-                const state = parts[2];
-                const repoMap = state === 'open' ? this.issues.openByRepo : this.issues.closedByRepo;
-                return repoMap[repoName] || [];
+                const issues = this.issues.byProfile[element.profile] || {};
+                if (element.state === 'open') {
+                    return this.viewOptions.sortItems(issues.openByRepo?.[element.repoName] || []);
+                }
+                const list = issues.closedByRepo?.[element.repoName];
+                if (!list) return [];
+                if (list.nextPage === 1) {
+                    await this.loadIssuePage(element.profile, list);
+                }
+                return getPagedChildren(this.viewOptions, element, list, 'gitea.loadMoreIssues');
             }
-        } catch (error) { vscode.window.showErrorMessage(`Failed to load issues: ${error.message}`); }
+        } catch (error) { showLoadError('issues', error); }
         return [];
     }
 
-    async searchIssues(query) {
+    /**
+     * Load the next page of a repository's closed issues or saved query results
+     * @param {string} profile - Profile the issues are loaded with
+     * @param {object} list - List from `createPagedList()`
+     */
+    async loadIssuePage(profile, list) {
+        const { repo, params } = list;
+        const page = await this.auth.client.getIssuePage(repo.owner.login, repo.name, params, list.nextPage, { profile, signal: this.loadController?.signal });
+        // Pull requests are dropped after paging, so `addPage()` still counts them towards the server's pages
+        const items = page.items.filter(issue => !issue.pull_request).map(issue => new IssueTreeItem(issue, repo.full_name, profile));
+        addPage(list, page, items);
+    }
+
+    /**
+     * Append the next page to an expanded Closed group or saved query repository (the "Load more…" node)
+     * @param {vscode.TreeItem} group - Closed group or saved query repository node
+     */
+    async loadMore(group) {
+        const list = group.contextValue === 'issueQueryRepo'
+            ? this.queryLists.get(group.id)
+            : this.issues.byProfile?.[group.profile]?.closedByRepo?.[group.repoName];
+        if (!list || list.done || list.loading) return;
+
+        list.loading = true;
+        this._onDidChangeTreeData.fire(group);
         try {
-            const repos = await this.auth.makeRequest('/api/v1/user/repos');
-            const workspaceRepos = this.filterRepositoriesByWorkspace(repos || []);
-            const allIssues = [];
-            for (const repo of workspaceRepos) {
+            await this.loadIssuePage(group.profile, list);
+        } catch (error) {
+            showLoadError(group.contextValue === 'issueQueryRepo' ? 'query results' : 'closed issues', error);
+        } finally {
+            list.loading = false;
+            this._onDidChangeTreeData.fire(group);
+        }
+    }
+
+    /**
+     * One collapsed node per saved query in `gitea.issueQueries`
+     * @returns {vscode.TreeItem[]}
+     */
+    getSavedQueryNodes() {
+        return getSavedIssueQueries().map(query => {
+            const node = new vscode.TreeItem(query.name, vscode.TreeItemCollapsibleState.Collapsed);
+            node.description = [query.state && query.state !== 'open' ? `is:${query.state}` : '', describeFilter(query)].filter(Boolean).join(' ');
+            node.iconPath = new vscode.ThemeIcon('filter');
+            node.contextValue = 'issueQuery';
+            node.id = `query:${query.name}`;
+            node.query = query;
+            return node;
+        });
+    }
+
+    /**
+     * One node per workspace repository with issues matching a saved query, across every workspace profile.
+     * Each repository's first page is loaded up front; further pages through "Load more…".
+     * @param {vscode.TreeItem} queryNode - Saved query node
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async getQueryRepoGroups(queryNode) {
+        const { query } = queryNode;
+        const signal = this.loadController?.signal;
+        const profiles = await this.auth.getWorkspaceProfiles();
+        const groups = [];
+        for (const profile of profiles) {
+            const params = { state: query.state || 'open', type: 'issues', ...await toIssueQuery(this.auth, query, profile) };
+            const repos = await this.auth.client.listMyRepos({ profile, signal });
+            const lists = await Promise.all(this.auth.workspaceRepositories.filter(repos || []).map(async repo => {
                 try {
-                    const issues = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/issues?state=all`);
-                    issues.forEach(issue => { if (!issue.pull_request && issue.title.toLowerCase().includes(query.toLowerCase())) allIssues.push(new IssueTreeItem(issue, repo.full_name)); });
-                } catch (err) { console.error(`Failed to search issues in ${repo.full_name}:`, err); }
+                    const list = createPagedList(repo, params, null);
+                    await this.loadIssuePage(profile, list);
+                    return list;
+                } catch (err) {
+                    if (err instanceof CancelledError) throw err;
+                    getLogger().error(`Failed to run query "${query.name}" in ${repo.full_name}:`, err);
+                    return null;
+                }
+            }));
+            // A newer load owns the lists now
+            if (signal?.aborted) throw new CancelledError();
+            for (const list of lists) {
+                if (!list || (list.done && list.items.length === 0)) continue;
+                const repoName = list.repo.full_name;
+                const group = new vscode.TreeItem(getStateGroupLabel(repoName, list.total), vscode.TreeItemCollapsibleState.Collapsed);
+                group.description = profiles.length > 1 ? profile : undefined;
+                group.iconPath = new vscode.ThemeIcon('repo');
+                group.contextValue = 'issueQueryRepo';
+                group.id = `${queryNode.id}:${profile}:${repoName}`;
+                group.profile = profile;
+                group.repoName = repoName;
+                this.queryLists.set(group.id, list);
+                groups.push(group);
             }
-            this.issues = allIssues; // flat for search
-            this.mode = 'search';
-            this.lastQuery = query;
-            this.refresh();
-        } catch (error) { vscode.window.showErrorMessage(`Failed to search issues: ${error.message}`); }
+        }
+        return groups;
     }
 
-    resetSearch() { this.mode = 'all'; this.lastQuery = ''; this.issues = { openByRepo: {}, closedByRepo: {} }; }
-
-    filterRepositoriesByWorkspace(allRepos) {
-        const fs = require('fs');
-        const path = require('path');
-        const workspaceFolders = vscode.workspace.workspaceFolders || [];
-        if (workspaceFolders.length === 0) return [];
-        const findGitReposInDir = (dirPath, depth = 2) => {
-            const foundRepos = [];
-            if (depth < 0) return foundRepos;
+    async getRepoGroups(profile) {
+        const signal = this.loadController?.signal;
+        const repos = await this.auth.client.listMyRepos({ profile, signal });
+        const workspaceRepos = this.auth.workspaceRepositories.filter(repos || []);
+        const filterQuery = await toIssueQuery(this.auth, this.filter, profile);
+        // Repositories load in parallel; the request scheduler bounds how many requests run at once
+        const results = await Promise.all(workspaceRepos.map(async repo => {
             try {
-                const gitPath = path.join(dirPath, '.git');
-                if (fs.existsSync(gitPath)) foundRepos.push(dirPath);
-                const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-                for (const entry of entries) {
-                    if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                        const subDirPath = path.join(dirPath, entry.name);
-                        foundRepos.push(...findGitReposInDir(subDirPath, depth - 1));
-                    }
-                }
-            } catch (err) { console.error(`Failed to scan directory ${dirPath}:`, err); }
-            return foundRepos;
-        };
-        const loadedRepos = [];
-        for (const repo of allRepos) {
-            for (const folder of workspaceFolders) {
-                const folderPath = folder.uri.fsPath;
-                const gitRepoPaths = findGitReposInDir(folderPath);
-                for (const repoPath of gitRepoPaths) {
-                    const gitConfigPath = path.join(repoPath, '.git', 'config');
-                    if (require('fs').existsSync(gitConfigPath)) {
-                        try {
-                            const gitConfig = require('fs').readFileSync(gitConfigPath, 'utf8');
-                            const cloneUrlNormalized = repo.clone_url.toLowerCase();
-                            const htmlUrlNormalized = repo.html_url.toLowerCase();
-                            if (gitConfig.toLowerCase().includes(cloneUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(htmlUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(repo.full_name.toLowerCase())) {
-                                if (!loadedRepos.some(r => r.id === repo.id)) loadedRepos.push(repo);
-                                break;
-                            }
-                        } catch (err) { console.error(`Failed to read git config for ${repoPath}:`, err); }
-                    }
-                }
-                if (loadedRepos.some(r => r.id === repo.id)) break;
+                const closedParams = { ...filterQuery, state: 'closed', type: 'issues' };
+                const [openIssues, closedCount] = await Promise.all([
+                    collect(this.auth.client.iterateIssues(repo.owner.login, repo.name, { ...filterQuery, state: 'open', type: 'issues' }, { profile, signal })),
+                    // Closed issues can run into thousands; only count them until their group is expanded
+                    this.auth.client.getIssuePage(repo.owner.login, repo.name, closedParams, 1, { profile, signal, pageSize: 1 })
+                ]);
+                return { repo, openIssues, closedParams, closedCount };
+            } catch (err) {
+                if (err instanceof CancelledError) throw err;
+                getLogger().error(`Failed to fetch issues for ${repo.full_name}:`, err);
+                return null;
+            }
+        }));
+        const openByRepo = {};
+        const closedByRepo = {};
+        for (const { repo, openIssues, closedParams, closedCount } of results.filter(Boolean)) {
+            const openItems = openIssues.filter(issue => !issue.pull_request).map(issue => new IssueTreeItem(issue, repo.full_name, profile));
+            if (openItems.length > 0) openByRepo[repo.full_name] = openItems;
+            if (closedCount.total > 0 || (closedCount.total === null && closedCount.items.length > 0)) {
+                closedByRepo[repo.full_name] = createPagedList(repo, closedParams, closedCount.total);
             }
         }
-        return loadedRepos;
+        // A newer load owns the cache now
+        if (signal?.aborted) throw new CancelledError();
+        this.issues.byProfile[profile] = { openByRepo, closedByRepo };
+        const repoNames = new Set([...Object.keys(openByRepo), ...Object.keys(closedByRepo)]);
+        return Array.from(repoNames).map(repoName => {
+            const total = (openByRepo[repoName]?.length || 0) + (closedByRepo[repoName]?.total || 0);
+            const repoGroup = new vscode.TreeItem(`${repoName} (${total})`, vscode.TreeItemCollapsibleState.Collapsed);
+            repoGroup.contextValue = 'issueRepoGroup';
+            repoGroup.iconPath = new vscode.ThemeIcon('repo');
+            repoGroup.id = `${profile}:repo:${repoName}`;
+            repoGroup.profile = profile;
+            repoGroup.repoName = repoName;
+            return repoGroup;
+        });
     }
+
+    /**
+     * Search issues on the server, across every repository the user can access.
+     * Accepts qualifiers such as `is:open label:bug author:me`, see `parseSearchQuery()`.
+     */
+    async searchIssues(query, cancellationToken) {
+        try {
+            const signal = supersedeLoad(this, cancellationToken);
+            const search = parseSearchQuery(query);
+            const allIssues = [];
+            for (const profile of await this.auth.getWorkspaceProfiles()) {
+                const results = await runIssueSearch(this.auth, search, 'issues', profile, { signal, maxItems: getClosedItemsLimit() });
+                allIssues.push(...results
+                    .filter(({ issue }) => !issue.pull_request)
+                    .map(({ issue, repoName }) => new IssueTreeItem(issue, repoName, profile)));
+            }
+            if (signal.aborted) return;
+            this.issues = allIssues; // flat for search
+            this.mode = 'search';
+            this.lastQuery = query;
+            this.refresh();
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            vscode.window.showErrorMessage(`Failed to search issues: ${error.message}`);
+        }
+    }
+
+    resetSearch() { this.mode = 'all'; this.lastQuery = ''; this.issues = { byProfile: {} }; }
 }
 
 class PullRequestProvider {
-    constructor(auth) {
+    /**
+     * @param {import('./auth')} auth
+     * @param {vscode.Memento} [workspaceState] - Keeps the sort order and grouping of the view
+     */
+    constructor(auth, workspaceState) {
         this.auth = auth;
+        this.viewOptions = new ViewOptions(workspaceState, 'gitea.pullRequests');
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
-        this.pullRequests = { openByRepo: {}, closedByRepo: {}, wipByRepo: {} };
+        this.pullRequests = { byProfile: {} };
         this.mode = 'all';
         this.lastQuery = '';
     }
@@ -321,143 +733,182 @@ class PullRequestProvider {
         if (!this.auth.isConfigured()) return [];
         try {
             if (!element) {
-                if (this.mode === 'search') return this.pullRequests;
-                const repos = await this.auth.makeRequest('/api/v1/user/repos');
-                const workspaceRepos = this.filterRepositoriesByWorkspace(repos || []);
-                const openByRepo = {};
-                const closedByRepo = {};
-                const wipByRepo = {};
-                for (const repo of workspaceRepos) {
-                    try {
-                        const openPRs = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/pulls?state=open`);
-                        const openItems = [];
-                        const wipItems = [];
-                        openPRs.forEach(pr => {
-                            const isWIP = pr.draft || /^(wip|\[wip\]|work in progress|draft)/i.test(pr.title.toLowerCase());
-                            if (isWIP) wipItems.push(new PullRequestTreeItem(pr, repo.full_name));
-                            else openItems.push(new PullRequestTreeItem(pr, repo.full_name));
-                        });
-                        if (openItems.length > 0) openByRepo[repo.full_name] = openItems;
-                        if (wipItems.length > 0) wipByRepo[repo.full_name] = wipItems;
-
-                        const closedPRs = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/pulls?state=closed`);
-                        const closedItems = [];
-                        closedPRs.forEach(pr => closedItems.push(new PullRequestTreeItem(pr, repo.full_name)));
-                        if (closedItems.length > 0) closedByRepo[repo.full_name] = closedItems;
-                    } catch (err) { console.error(`Failed to fetch PRs for ${repo.full_name}:`, err); }
-                }
-                this.pullRequests = { openByRepo, closedByRepo, wipByRepo };
+                if (this.mode === 'search') return this.viewOptions.sortItems(this.pullRequests);
+                this.pullRequests = { byProfile: {} };
                 this.mode = 'all';
-                const repoNames = new Set([...Object.keys(openByRepo), ...Object.keys(wipByRepo), ...Object.keys(closedByRepo)]);
-                return Array.from(repoNames).map(repoName => {
-                    const total = (openByRepo[repoName]?.length || 0) + (wipByRepo[repoName]?.length || 0) + (closedByRepo[repoName]?.length || 0);
-                    const repoGroup = new vscode.TreeItem(`${repoName} (${total})`, vscode.TreeItemCollapsibleState.Collapsed);
-                    repoGroup.contextValue = 'prRepoGroup';
-                    repoGroup.iconPath = new vscode.ThemeIcon('repo');
-                    repoGroup.id = `repo:${repoName}`;
-                    return repoGroup;
-                });
+                supersedeLoad(this);
+                const profiles = await this.auth.getWorkspaceProfiles();
+                if (profiles.length > 1) {
+                    return profiles.map(profile => createProfileNode(this.auth, profile, 'prProfileGroup'));
+                }
+                return await this.getRepoGroups(profiles[0]);
+            }
+            if (element.contextValue === 'prProfileGroup') {
+                return await this.getRepoGroups(element.profile);
+            }
+            if (element.contextValue === 'prFieldGroup') {
+                return element.items;
             }
             if (element.contextValue === 'prRepoGroup') {
-                const repoName = element.id.substring('repo:'.length);
-                const openCount = this.pullRequests.openByRepo[repoName]?.length || 0;
-                const wipCount = this.pullRequests.wipByRepo[repoName]?.length || 0;
-                const closedCount = this.pullRequests.closedByRepo[repoName]?.length || 0;
+                const { openByRepo, wipByRepo, closedByRepo } = this.pullRequests.byProfile[element.profile] || {};
+                const openCount = openByRepo?.[element.repoName]?.length || 0;
+                const wipCount = wipByRepo?.[element.repoName]?.length || 0;
+                const closedList = closedByRepo?.[element.repoName];
                 const openGroup = new vscode.TreeItem(`Open (${openCount})`, vscode.TreeItemCollapsibleState.Expanded);
                 openGroup.contextValue = 'prStateGroup';
                 openGroup.iconPath = new vscode.ThemeIcon('git-pull-request');
-                openGroup.id = `repo:${repoName}:open`;
+                openGroup.id = `${element.id}:open`;
+                openGroup.state = 'open';
                 const wipGroup = new vscode.TreeItem(`Work-in-Progress (${wipCount})`, vscode.TreeItemCollapsibleState.Collapsed);
                 wipGroup.contextValue = 'prStateGroup';
                 wipGroup.iconPath = new vscode.ThemeIcon('git-pull-request-draft');
-                wipGroup.id = `repo:${repoName}:wip`;
-                const closedGroup = new vscode.TreeItem(`Closed (${closedCount})`, vscode.TreeItemCollapsibleState.Collapsed);
+                wipGroup.id = `${element.id}:wip`;
+                wipGroup.state = 'wip';
+                const closedGroup = new vscode.TreeItem(getStateGroupLabel('Closed', closedList ? closedList.total : 0), vscode.TreeItemCollapsibleState.Collapsed);
                 closedGroup.contextValue = 'prStateGroup';
                 closedGroup.iconPath = new vscode.ThemeIcon('git-pull-request-closed');
-                closedGroup.id = `repo:${repoName}:closed`;
+                closedGroup.id = `${element.id}:closed`;
+                closedGroup.state = 'closed';
+                closedGroup.tooltip = getPagedGroupTooltip(this.viewOptions, 'Closed pull requests');
+                for (const group of [openGroup, wipGroup, closedGroup]) {
+                    group.profile = element.profile;
+                    group.repoName = element.repoName;
+                }
+                if (this.viewOptions.groupBy !== 'state') {
+                    // Closed pull requests are loaded page by page, so they keep their own section
+                    const items = [openByRepo, wipByRepo].flatMap(repoMap => repoMap?.[element.repoName] || []);
+                    const groups = createFieldGroups(this.viewOptions, element, items, 'prFieldGroup');
+                    return closedList ? [...groups, closedGroup] : groups;
+                }
                 return [openGroup, wipGroup, closedGroup];
             }
             if (element.contextValue === 'prStateGroup') {
-                const parts = element.id.split(':');
-                const repoName = parts[1];
-                const state = parts[2];
-                let repoMap;
-                if (state === 'open') repoMap = this.pullRequests.openByRepo;
-                else if (state === 'wip') repoMap = this.pullRequests.wipByRepo;
-                else repoMap = this.pullRequests.closedByRepo;
-                return repoMap[repoName] || [];
+                const pullRequests = this.pullRequests.byProfile[element.profile] || {};
+                if (element.state === 'closed') {
+                    const list = pullRequests.closedByRepo?.[element.repoName];
+                    if (!list) return [];
+                    if (list.nextPage === 1) {
+                        await this.loadClosedPage(element.profile, list);
+                    }
+                    return getPagedChildren(this.viewOptions, element, list, 'gitea.loadMorePullRequests');
+                }
+                const repoMap = element.state === 'open' ? pullRequests.openByRepo : pullRequests.wipByRepo;
+                return this.viewOptions.sortItems(repoMap?.[element.repoName] || []);
             }
-        } catch (error) { vscode.window.showErrorMessage(`Failed to load pull requests: ${error.message}`); }
+        } catch (error) { showLoadError('pull requests', error); }
         return [];
     }
 
-    async searchPullRequests(query) {
+    async getRepoGroups(profile) {
+        const signal = this.loadController?.signal;
+        const repos = await this.auth.client.listMyRepos({ profile, signal });
+        const workspaceRepos = this.auth.workspaceRepositories.filter(repos || []);
+        // Repositories load in parallel; the request scheduler bounds how many requests run at once
+        const results = await Promise.all(workspaceRepos.map(async repo => {
+            try {
+                const [openPRs, closedCount] = await Promise.all([
+                    collect(this.auth.client.iteratePullRequests(repo.owner.login, repo.name, { state: 'open' }, { profile, signal })),
+                    // Closed pull requests can run into thousands; only count them until their group is expanded
+                    this.auth.client.getPullRequestPage(repo.owner.login, repo.name, { state: 'closed' }, 1, { profile, signal, pageSize: 1 })
+                ]);
+                return { repo, openPRs, closedCount };
+            } catch (err) {
+                if (err instanceof CancelledError) throw err;
+                getLogger().error(`Failed to fetch PRs for ${repo.full_name}:`, err);
+                return null;
+            }
+        }));
+        const openByRepo = {};
+        const closedByRepo = {};
+        const wipByRepo = {};
+        for (const { repo, openPRs, closedCount } of results.filter(Boolean)) {
+            const openItems = [];
+            const wipItems = [];
+            for (const pr of openPRs) {
+                const isWIP = pr.draft || /^(wip|\[wip\]|work in progress|draft)/i.test(pr.title.toLowerCase());
+                if (isWIP) wipItems.push(new PullRequestTreeItem(pr, repo.full_name, profile));
+                else openItems.push(new PullRequestTreeItem(pr, repo.full_name, profile));
+            }
+            if (openItems.length > 0) openByRepo[repo.full_name] = openItems;
+            if (wipItems.length > 0) wipByRepo[repo.full_name] = wipItems;
+            if (closedCount.total > 0 || (closedCount.total === null && closedCount.items.length > 0)) {
+                closedByRepo[repo.full_name] = createPagedList(repo, { state: 'closed' }, closedCount.total);
+            }
+        }
+        // A newer load owns the cache now
+        if (signal?.aborted) throw new CancelledError();
+        this.pullRequests.byProfile[profile] = { openByRepo, closedByRepo, wipByRepo };
+        const repoNames = new Set([...Object.keys(openByRepo), ...Object.keys(wipByRepo), ...Object.keys(closedByRepo)]);
+        return Array.from(repoNames).map(repoName => {
+            const total = (openByRepo[repoName]?.length || 0) + (wipByRepo[repoName]?.length || 0) + (closedByRepo[repoName]?.total || 0);
+            const repoGroup = new vscode.TreeItem(`${repoName} (${total})`, vscode.TreeItemCollapsibleState.Collapsed);
+            repoGroup.contextValue = 'prRepoGroup';
+            repoGroup.iconPath = new vscode.ThemeIcon('repo');
+            repoGroup.id = `${profile}:repo:${repoName}`;
+            repoGroup.profile = profile;
+            repoGroup.repoName = repoName;
+            return repoGroup;
+        });
+    }
+
+    /**
+     * Load the next page of a repository's closed pull requests
+     * @param {string} profile - Profile the pull requests are loaded with
+     * @param {object} list - List from `createPagedList()`
+     */
+    async loadClosedPage(profile, list) {
+        const { repo, params } = list;
+        const page = await this.auth.client.getPullRequestPage(repo.owner.login, repo.name, params, list.nextPage, { profile, signal: this.loadController?.signal });
+        addPage(list, page, page.items.map(pr => new PullRequestTreeItem(pr, repo.full_name, profile)));
+    }
+
+    /**
+     * Append the next page to an expanded Closed group (the "Load more…" node)
+     * @param {vscode.TreeItem} group - Closed group node
+     */
+    async loadMore(group) {
+        const list = this.pullRequests.byProfile?.[group.profile]?.closedByRepo?.[group.repoName];
+        if (!list || list.done || list.loading) return;
+
+        list.loading = true;
+        this._onDidChangeTreeData.fire(group);
+        try {
+            await this.loadClosedPage(group.profile, list);
+        } catch (error) {
+            showLoadError('closed pull requests', error);
+        } finally {
+            list.loading = false;
+            this._onDidChangeTreeData.fire(group);
+        }
+    }
+
+    /**
+     * Search pull requests on the server, across every repository the user can access.
+     * Accepts the same qualifiers as `IssueProvider.searchIssues()`.
+     */
+    async searchPullRequests(query, cancellationToken) {
         try {
-            const repos = await this.auth.makeRequest('/api/v1/user/repos');
-            const workspaceRepos = this.filterRepositoriesByWorkspace(repos || []);
+            const signal = supersedeLoad(this, cancellationToken);
+            const search = parseSearchQuery(query);
             const allPRs = [];
-            for (const repo of workspaceRepos) {
-                try {
-                    const prs = await this.auth.makeRequest(`/api/v1/repos/${repo.owner.login}/${repo.name}/pulls?state=all`);
-                    prs.forEach(pr => { if (pr.title.toLowerCase().includes(query.toLowerCase())) allPRs.push(new PullRequestTreeItem(pr, repo.full_name)); });
-                } catch (err) { console.error(`Failed to search PRs in ${repo.full_name}:`, err); }
+            for (const profile of await this.auth.getWorkspaceProfiles()) {
+                const results = await runIssueSearch(this.auth, search, 'pulls', profile, { signal, maxItems: getClosedItemsLimit() });
+                // Search results are issues; the pull request fields the tree item needs are in `pull_request`
+                allPRs.push(...results.map(({ issue, repoName }) =>
+                    new PullRequestTreeItem({ ...issue, draft: issue.pull_request?.draft }, repoName, profile)));
             }
+            if (signal.aborted) return;
             this.pullRequests = allPRs; // flat for search
             this.mode = 'search';
             this.lastQuery = query;
             this.refresh();
-        } catch (error) { vscode.window.showErrorMessage(`Failed to search pull requests: ${error.message}`); }
-    }
-
-    resetSearch() { this.mode = 'all'; this.lastQuery = ''; this.pullRequests = { openByRepo: {}, closedByRepo: {}, wipByRepo: {} }; }
-
-    filterRepositoriesByWorkspace(allRepos) {
-        const fs = require('fs');
-        const path = require('path');
-        const workspaceFolders = vscode.workspace.workspaceFolders || [];
-        if (workspaceFolders.length === 0) return [];
-        const findGitReposInDir = (dirPath, depth = 2) => {
-            const foundRepos = [];
-            if (depth < 0) return foundRepos;
-            try {
-                const gitPath = path.join(dirPath, '.git');
-                if (fs.existsSync(gitPath)) foundRepos.push(dirPath);
-                const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-                for (const entry of entries) {
-                    if (entry.isDirectory() && !entry.name.startsWith('.')) {
-                        const subDirPath = path.join(dirPath, entry.name);
-                        foundRepos.push(...findGitReposInDir(subDirPath, depth - 1));
-                    }
-                }
-            } catch (err) { console.error(`Failed to scan directory ${dirPath}:`, err); }
-            return foundRepos;
-        };
-        const loadedRepos = [];
-        for (const repo of allRepos) {
-            for (const folder of workspaceFolders) {
-                const folderPath = folder.uri.fsPath;
-                const gitRepoPaths = findGitReposInDir(folderPath);
-                for (const repoPath of gitRepoPaths) {
-                    const gitConfigPath = path.join(repoPath, '.git', 'config');
-                    if (require('fs').existsSync(gitConfigPath)) {
-                        try {
-                            const gitConfig = require('fs').readFileSync(gitConfigPath, 'utf8');
-                            const cloneUrlNormalized = repo.clone_url.toLowerCase();
-                            const htmlUrlNormalized = repo.html_url.toLowerCase();
-                            if (gitConfig.toLowerCase().includes(cloneUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(htmlUrlNormalized) ||
-                                gitConfig.toLowerCase().includes(repo.full_name.toLowerCase())) {
-                                if (!loadedRepos.some(r => r.id === repo.id)) loadedRepos.push(repo);
-                                break;
-                            }
-                        } catch (err) { console.error(`Failed to read git config for ${repoPath}:`, err); }
-                    }
-                }
-                if (loadedRepos.some(r => r.id === repo.id)) break;
-            }
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            vscode.window.showErrorMessage(`Failed to search pull requests: ${error.message}`);
         }
-        return loadedRepos;
     }
+
+    resetSearch() { this.mode = 'all'; this.lastQuery = ''; this.pullRequests = { byProfile: {} }; }
 }
 
 module.exports = {
@@ -465,6 +916,7 @@ module.exports = {
     IssueProvider,
     PullRequestProvider,
     RepositoryTreeItem,
+    RefTreeItem,
     IssueTreeItem,
     PullRequestTreeItem
 };
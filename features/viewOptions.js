@@ -0,0 +1,142 @@
+const vscode = require('vscode');
+
+const SORT_OPTIONS = [
+    { id: 'default', label: 'Server order', description: 'As returned by the API' },
+    { id: 'created', label: 'Created', description: 'Newest first' },
+    { id: 'updated', label: 'Updated', description: 'Recently updated first' },
+    { id: 'comments', label: 'Comments', description: 'Most commented first' },
+    { id: 'due', label: 'Due date', description: 'Soonest first, no due date last' }
+];
+
+const GROUP_OPTIONS = [
+    { id: 'state', label: 'State', description: 'Open and closed sections' },
+    { id: 'milestone', label: 'Milestone' },
+    { id: 'label', label: 'Label', description: 'An item with several labels is listed under each' },
+    { id: 'assignee', label: 'Assignee', description: 'An item with several assignees is listed under each' },
+    { id: 'author', label: 'Author' }
+];
+
+// Group names for items without a value
+const NO_VALUE = {
+    milestone: 'No milestone',
+    label: 'No label',
+    assignee: 'Unassigned'
+};
+
+const time = value => (value ? new Date(value).getTime() : 0);
+
+const COMPARATORS = {
+    created: (a, b) => time(b.created_at) - time(a.created_at),
+    updated: (a, b) => time(b.updated_at) - time(a.updated_at),
+    comments: (a, b) => (b.comments || 0) - (a.comments || 0),
+    due: (a, b) => (time(a.due_date) || Infinity) - (time(b.due_date) || Infinity)
+};
+
+/**
+ * Sort and grouping of an issue or pull request view, kept per view in `workspaceState`
+ */
+class ViewOptions {
+    /**
+     * @param {vscode.Memento} workspaceState
+     * @param {string} viewId - View the options belong to, e.g. `gitea.issues`
+     */
+    constructor(workspaceState, viewId) {
+        this.workspaceState = workspaceState;
+        this.key = `gitea.viewOptions.${viewId}`;
+    }
+
+    /** @returns {'default'|'created'|'updated'|'comments'|'due'} */
+    get sort() {
+        return this.workspaceState?.get(this.key)?.sort || 'default';
+    }
+
+    /** @returns {'state'|'milestone'|'label'|'assignee'|'author'} */
+    get groupBy() {
+        return this.workspaceState?.get(this.key)?.groupBy || 'state';
+    }
+
+    async update(changes) {
+        await this.workspaceState?.update(this.key, { sort: this.sort, groupBy: this.groupBy, ...changes });
+    }
+
+    /**
+     * Sort tree items carrying an issue or pull request (`item.issue` or `item.pullRequest`)
+     * @param {vscode.TreeItem[]} items
+     * @returns {vscode.TreeItem[]} A sorted copy
+     */
+    sortItems(items) {
+        const compare = COMPARATORS[this.sort];
+        if (!compare) return items;
+        return [...items].sort((a, b) => compare(getData(a), getData(b)));
+    }
+
+    /**
+     * Split tree items into named groups by the current grouping
+     * @param {vscode.TreeItem[]} items
+     * @returns {{name: string, items: vscode.TreeItem[]}[]} Groups sorted by name, the "no value" group last
+     */
+    groupItems(items) {
+        const groups = new Map();
+        for (const item of items) {
+            for (const name of getGroupNames(getData(item), this.groupBy)) {
+                if (!groups.has(name)) groups.set(name, []);
+                groups.get(name).push(item);
+            }
+        }
+        const noValue = NO_VALUE[this.groupBy];
+        return Array.from(groups, ([name, groupItems]) => ({ name, items: this.sortItems(groupItems) }))
+            .sort((a, b) => (a.name === noValue) - (b.name === noValue) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Ask for a sort order and store it
+     * @returns {Promise<boolean>} Whether the sort order changed
+     */
+    async pickSort() {
+        // Closed sections load a page at a time, so their order only covers the pages loaded so far
+        return this.pick(SORT_OPTIONS, this.sort, 'Sort loaded items by', sort => this.update({ sort }));
+    }
+
+    /**
+     * Ask for a grouping and store it
+     * @returns {Promise<boolean>} Whether the grouping changed
+     */
+    async pickGroupBy() {
+        return this.pick(GROUP_OPTIONS, this.groupBy, 'Group by (closed items keep their own paged section)', groupBy => this.update({ groupBy }));
+    }
+
+    async pick(options, current, placeHolder, apply) {
+        const picked = await vscode.window.showQuickPick(options.map(option => ({
+            ...option,
+            label: option.id === current ? `$(check) ${option.label}` : option.label
+        })), { placeHolder });
+        if (!picked || picked.id === current) return false;
+        await apply(picked.id);
+        return true;
+    }
+}
+
+function getData(item) {
+    return item.issue || item.pullRequest || {};
+}
+
+function getGroupNames(data, groupBy) {
+    switch (groupBy) {
+        case 'milestone':
+            return [data.milestone?.title || NO_VALUE.milestone];
+        case 'label': {
+            const labels = (data.labels || []).map(label => label.name);
+            return labels.length > 0 ? labels : [NO_VALUE.label];
+        }
+        case 'assignee': {
+            const assignees = (data.assignees || (data.assignee ? [data.assignee] : [])).map(user => user.login);
+            return assignees.length > 0 ? assignees : [NO_VALUE.assignee];
+        }
+        case 'author':
+            return [data.user?.login || 'Unknown'];
+        default:
+            return [];
+    }
+}
+
+module.exports = ViewOptions;
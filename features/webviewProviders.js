@@ -1,5 +1,73 @@
 const vscode = require('vscode');
 const { marked } = require('marked');
+const { CancelledError } = require('./errors');
+const { getLogger } = require('./logger');
+
+// Most recent issues compared when checking a new issue for duplicates
+const DUPLICATE_SCAN_LIMIT = 500;
+// Stop scanning once this many likely duplicates were found
+const MAX_DUPLICATES = 10;
+
+/**
+ * Load a part of an issue or pull request panel that older servers lack or that may fail on its own,
+ * recording why it is missing in `unavailable` instead of failing the whole panel
+ * @param {import('./auth')} auth
+ * @param {string} feature - Server feature key, see `GiteaAuth.getServerFeatureExplanation()`
+ * @param {string} what - What is loaded, for the error explanation
+ * @param {string|null} profile - Profile the item was loaded from
+ * @param {object} unavailable - Explanations keyed by feature
+ * @param {() => Promise<*>} load - Loads the part
+ * @param {*} [fallback] - Value used when the part is unavailable
+ */
+async function loadOptional(auth, feature, what, profile, unavailable, load, fallback = []) {
+    const explanation = await auth.getServerFeatureExplanation(feature, profile);
+    if (explanation) {
+        unavailable[feature] = explanation;
+        return fallback;
+    }
+
+    try {
+        return await load();
+    } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        getLogger().error(`Failed to load ${what}:`, error);
+        unavailable[feature] = await auth.recordServerFeatureError(feature, error, profile)
+            ? await auth.getServerFeatureExplanation(feature, profile)
+            : `Could not load ${what}: ${error.message}`;
+        return fallback;
+    }
+}
+
+/**
+ * Sentence for a timeline event other than a comment, or null for events the panel does not show
+ * @param {import('./giteaClient').TimelineEvent} event
+ * @returns {string|null}
+ */
+function describeTimelineEvent(event) {
+    switch (event.type) {
+        case 'close':
+            return 'closed this';
+        case 'reopen':
+            return 'reopened this';
+        case 'label':
+            return event.label ? `${event.body === '1' ? 'added' : 'removed'} the label ${event.label.name}` : null;
+        case 'milestone':
+            if (event.milestone) return `added this to the ${event.milestone.title} milestone`;
+            return event.old_milestone ? `removed this from the ${event.old_milestone.title} milestone` : null;
+        case 'assignees':
+            return event.assignee ? `${event.removed_assignee ? 'unassigned' : 'assigned'} ${event.assignee.login}` : null;
+        case 'change_title':
+            return `changed the title from "${event.old_title}" to "${event.new_title}"`;
+        case 'issue_ref':
+        case 'comment_ref':
+        case 'pull_ref':
+            return event.ref_issue ? `referenced this in #${event.ref_issue.number}` : 'referenced this';
+        case 'commit_ref':
+            return 'referenced this in a commit';
+        default:
+            return null;
+    }
+}
 
 class PullRequestWebviewProvider {
     constructor(auth) {
@@ -7,9 +75,9 @@ class PullRequestWebviewProvider {
         this._panels = new Map();
     }
 
-    async showPullRequest(prNumber, repository) {
+    async showPullRequest(prNumber, repository, profile = null) {
         try {
-            const panelKey = `${repository}#${prNumber}`;
+            const panelKey = `${profile || ''}:${repository}#${prNumber}`;
 
             // Reuse existing panel if available
             if (this._panels.has(panelKey)) {
@@ -21,29 +89,34 @@ class PullRequestWebviewProvider {
             // Fetch PR details
             const [owner, repo] = repository.split('/');
             let prDetails, comments, reviews, files, commitsList, diffContent, conflictingFiles = [], compareInfo = null;
+            // Explanations for parts the server cannot provide, keyed by server feature
+            const unavailable = {};
 
             try {
+                // The user opened this panel, so its requests go ahead of view loads and polling
                 [prDetails, comments, reviews, files, commitsList] = await Promise.all([
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}`),
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${prNumber}/comments`),
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/reviews`).catch(() => []),
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/files`).catch(() => []),
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/commits`).catch(() => [])
+                    this.auth.client.getPullRequest(owner, repo, prNumber, { profile, priority: 'high' }),
+                    this.auth.client.listComments(owner, repo, prNumber, { profile, priority: 'high' }),
+                    loadOptional(this.auth, 'pullRequestReviews', 'reviews', profile, unavailable,
+                        () => this.auth.client.listPullReviews(owner, repo, prNumber, { profile, priority: 'high' })),
+                    loadOptional(this.auth, 'pullRequestFiles', 'changed files', profile, unavailable,
+                        () => this.auth.client.listPullFiles(owner, repo, prNumber, { profile, priority: 'high' })),
+                    loadOptional(this.auth, 'pullRequestCommits', 'commits', profile, unavailable,
+                        () => this.auth.client.listPullCommits(owner, repo, prNumber, { profile, priority: 'high' }))
                 ]);
 
                 // Determine if branch is behind base (out-of-date)
-                try {
-                    const baseRef = encodeURIComponent(prDetails.base?.ref || '');
-                    const headRef = encodeURIComponent(prDetails.head?.ref || '');
-                    if (baseRef && headRef) {
-                        compareInfo = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/compare/${baseRef}...${headRef}`)
-                            .catch(() => null);
-                    }
-                } catch (e) {
-                    void (e);
-                    compareInfo = null;
+                const baseRef = prDetails.base?.ref || '';
+                const headRef = prDetails.head?.ref || '';
+                if (baseRef && headRef) {
+                    compareInfo = await loadOptional(this.auth, 'compare', 'the comparison with the base branch', profile, unavailable,
+                        () => this.auth.client.compare(owner, repo, baseRef, headRef, { profile, priority: 'high' }), null);
                 }
 
+                // Actions the server has no endpoint for are replaced by their explanation
+                unavailable.pullRequestUpdate = await this.auth.getServerFeatureExplanation('pullRequestUpdate', profile);
+                unavailable.reviewActions = await this.auth.getServerFeatureExplanation('pullRequestReviews', profile);
+
                 // If PR has conflicts, identify conflicting files
                 if (prDetails.mergeable === false && files && files.length > 0) {
                     // Files with conflicts have the standard merge conflict markers:
@@ -78,16 +151,14 @@ class PullRequestWebviewProvider {
 
                 // Fetch the actual diff content
                 try {
-                    diffContent = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}.diff`, {
-                        headers: { 'Accept': 'text/plain' }
-                    });
+                    diffContent = await this.auth.client.getPullDiff(owner, repo, prNumber, { profile, priority: 'high' });
 
                     // Parse diff and attach to files
                     if (typeof diffContent === 'string') {
                         files = this.parseDiffToFiles(files, diffContent);
                     }
                 } catch (diffError) {
-                    console.error('Failed to fetch diff:', diffError);
+                    getLogger().error('Failed to fetch diff:', diffError);
                 }
             } catch (error) {
                 vscode.window.showErrorMessage(`Failed to load PR #${prNumber}: ${error.message}`);
@@ -117,121 +188,110 @@ class PullRequestWebviewProvider {
                     try {
                         switch (message.command) {
                             case 'addComment':
-                                await this.addComment(owner, repo, prNumber, message.body);
+                                if (!(await this.auth.requireFeature('comment'))) break;
+                                await this.addComment(owner, repo, prNumber, message.body, profile);
                                 break;
                             case 'addReview':
-                                await this.addReview(owner, repo, prNumber, message.body, message.event);
+                                if (!(await this.auth.requireFeature('mergePullRequest'))) break;
+                                await this.addReview(owner, repo, prNumber, message.body, message.event, profile);
                                 break;
                             case 'mergePR':
-                                await this.mergePullRequest(owner, repo, prNumber, message.mergeMethod);
+                                if (!(await this.auth.requireFeature('mergePullRequest'))) break;
+                                await this.mergePullRequest(owner, repo, prNumber, message.mergeMethod, profile);
                                 break;
                             case 'closePR':
-                                await this.closePullRequest(owner, repo, prNumber);
+                                if (!(await this.auth.requireFeature('mergePullRequest'))) break;
+                                await this.closePullRequest(owner, repo, prNumber, profile);
                                 break;
                             case 'createBranch':
                                 vscode.commands.executeCommand('gitea.createBranchFromPR', {
-                                    metadata: { repository: `${owner}/${repo}`, number: prNumber }
+                                    metadata: { repository: `${owner}/${repo}`, number: prNumber, profile }
                                 });
                                 break;
                             case 'openInBrowser':
                                 vscode.env.openExternal(vscode.Uri.parse(prDetails.html_url));
                                 break;
                             case 'updateBranch':
-                                await this.updatePullRequestBranch(owner, repo, prNumber, message.style || 'merge');
+                                if (!(await this.auth.requireFeature('mergePullRequest'))) break;
+                                await this.updatePullRequestBranch(owner, repo, prNumber, message.style || 'merge', profile);
                                 break;
                         }
                     } catch (error) {
-                        console.error('Error handling webview message:', error);
+                        getLogger().error('Error handling webview message:', error);
                         vscode.window.showErrorMessage(`Error: ${error.message}`);
                     }
                 }
             );
 
-            panel.webview.html = this.getPullRequestHtml(panel.webview, prDetails, comments, reviews, files, commitsList, conflictingFiles, compareInfo);
+            panel.webview.html = this.getPullRequestHtml(panel.webview, prDetails, comments, reviews, files, commitsList, conflictingFiles, compareInfo, unavailable);
         } catch (error) {
-            console.error('Failed to show pull request:', error);
+            getLogger().error('Failed to show pull request:', error);
             vscode.window.showErrorMessage(`Failed to show pull request: ${error.message}`);
         }
     }
 
-    async addComment(owner, repo, prNumber, body) {
+    async addComment(owner, repo, prNumber, body, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${prNumber}/comments`, {
-                method: 'POST',
-                body: { body }
-            });
+            await this.auth.client.createComment(owner, repo, prNumber, body, { profile });
             vscode.window.showInformationMessage('Comment added successfully');
             // Refresh the webview
-            await this.showPullRequest(prNumber, `${owner}/${repo}`);
+            await this.showPullRequest(prNumber, `${owner}/${repo}`, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to add comment: ${error.message}`);
         }
     }
 
-    async addReview(owner, repo, prNumber, body, event) {
+    async addReview(owner, repo, prNumber, body, event, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
-                method: 'POST',
-                body: { body, event }
-            });
+            await this.auth.client.createPullReview(owner, repo, prNumber, { body, event }, { profile });
             vscode.window.showInformationMessage(`Review ${event.toLowerCase()} successfully`);
-            await this.showPullRequest(prNumber, `${owner}/${repo}`);
+            await this.showPullRequest(prNumber, `${owner}/${repo}`, profile);
         } catch (error) {
+            if (await this.auth.recordServerFeatureError('pullRequestReviews', error, profile)) {
+                vscode.window.showWarningMessage(await this.auth.getServerFeatureExplanation('pullRequestReviews', profile));
+                return;
+            }
             vscode.window.showErrorMessage(`Failed to submit review: ${error.message}`);
         }
     }
 
-    async mergePullRequest(owner, repo, prNumber, mergeMethod = 'merge') {
+    async mergePullRequest(owner, repo, prNumber, mergeMethod = 'merge', profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/merge`, {
-                method: 'POST',
-                body: { Do: mergeMethod }
-            });
+            await this.auth.client.mergePullRequest(owner, repo, prNumber, mergeMethod, { profile });
             vscode.window.showInformationMessage(`PR #${prNumber} merged successfully`);
-            await this.showPullRequest(prNumber, `${owner}/${repo}`);
+            await this.showPullRequest(prNumber, `${owner}/${repo}`, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to merge PR: ${error.message}`);
         }
     }
 
-    async closePullRequest(owner, repo, prNumber) {
+    async closePullRequest(owner, repo, prNumber, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}`, {
-                method: 'PATCH',
-                body: { state: 'closed' }
-            });
+            await this.auth.client.editPullRequest(owner, repo, prNumber, { state: 'closed' }, { profile });
             vscode.window.showInformationMessage(`PR #${prNumber} closed`);
-            await this.showPullRequest(prNumber, `${owner}/${repo}`);
+            await this.showPullRequest(prNumber, `${owner}/${repo}`, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to close PR: ${error.message}`);
         }
     }
 
-    async updatePullRequestBranch(owner, repo, prNumber, style = 'merge') {
+    async updatePullRequestBranch(owner, repo, prNumber, style = 'merge', profile = null) {
         try {
-            // Preferred Gitea endpoint to update a PR's branch by merging base into head
-            try {
-                await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/update`, {
-                    method: 'POST',
-                    body: { style }
-                });
-            } catch (firstErr) {
-                void (firstErr);
-                // Fallback: some instances might expect a different casing/key
-                await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls/${prNumber}/update`, {
-                    method: 'POST',
-                    body: { Style: style }
-                });
-            }
+            // Update the PR's branch by merging base into head
+            await this.auth.client.updatePullRequest(owner, repo, prNumber, style, { profile });
 
             vscode.window.showInformationMessage('Branch updated from base via merge');
-            await this.showPullRequest(prNumber, `${owner}/${repo}`);
+            await this.showPullRequest(prNumber, `${owner}/${repo}`, profile);
         } catch (error) {
+            if (await this.auth.recordServerFeatureError('pullRequestUpdate', error, profile)) {
+                vscode.window.showWarningMessage(await this.auth.getServerFeatureExplanation('pullRequestUpdate', profile));
+                return;
+            }
             vscode.window.showErrorMessage(`Failed to update branch: ${error.message}`);
         }
     }
 
-    getPullRequestHtml(webview, pr, comments, reviews, files = [], commits = [], conflictingFiles = [], compareInfo = null) {
+    getPullRequestHtml(webview, pr, comments, reviews, files = [], commits = [], conflictingFiles = [], compareInfo = null, unavailable = {}) {
         const stateColor = pr.state === 'open' ? '#3fb950' : pr.merged ? '#8957e5' : '#f85149';
         const stateIcon = pr.state === 'open' ? '●' : pr.merged ? '✓' : '×';
         const stateText = pr.state === 'open' ? 'Open' : pr.merged ? 'Merged' : 'Closed';
@@ -239,6 +299,11 @@ class PullRequestWebviewProvider {
             ? (Number(compareInfo.behind_by) || Number(compareInfo.behind) || Number(compareInfo.behindBy) || 0)
             : 0;
         const isOutOfDate = behindCount > 0;
+        // Disable actions the token's scopes don't allow, with the reason as tooltip
+        const mergeBlocked = this.auth.getScopeExplanation('mergePullRequest');
+        const commentBlocked = this.auth.getScopeExplanation('comment');
+        const mergeAttrs = mergeBlocked ? `disabled title="${this.escapeHtml(mergeBlocked)}"` : '';
+        const commentAttrs = commentBlocked ? `disabled title="${this.escapeHtml(commentBlocked)}"` : '';
 
         return `<!DOCTYPE html>
 <html>
@@ -378,6 +443,15 @@ class PullRequestWebviewProvider {
             background-color: #3fb950;
             color: white;
         }
+        button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+        }
+        .scope-note {
+            color: var(--vscode-descriptionForeground);
+            font-size: 12px;
+            margin-top: 8px;
+        }
         .info-grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -566,7 +640,9 @@ class PullRequestWebviewProvider {
                 <div style="font-weight:600; margin-bottom:6px;">This pull request is blocked because it's outdated.</div>
                 <div style="color: var(--vscode-descriptionForeground); margin-bottom: 10px;">This branch is out-of-date with the base branch${behindCount ? ` (behind by ${behindCount} commit${behindCount > 1 ? 's' : ''})` : ''}.</div>
                 <div>
-                    <button class="secondary" onclick="updateBranch('merge')">Update branch by merge</button>
+                    ${unavailable.pullRequestUpdate
+                        ? `<div class="scope-note">${this.escapeHtml(unavailable.pullRequestUpdate)} Update the branch on the server instead.</div>`
+                        : `<button class="secondary" onclick="updateBranch('merge')" ${mergeAttrs}>Update branch by merge</button>`}
                 </div>
             </div>
         </div>
@@ -591,6 +667,7 @@ class PullRequestWebviewProvider {
             <div class="info-value" style="color: #f85149;">-${pr.deletions || 0}</div>
         </div>
     </div>
+    ${unavailable.compare ? `<div class="scope-note">${this.escapeHtml(unavailable.compare)} Whether the branch is out of date is not shown.</div>` : ''}
 
     ${pr.body ? `
     <div class="section">
@@ -599,6 +676,13 @@ class PullRequestWebviewProvider {
     </div>
     ` : ''}
 
+    ${unavailable.pullRequestCommits ? `
+    <div class="section">
+        <div class="section-title">Commits</div>
+        <div class="scope-note">${this.escapeHtml(unavailable.pullRequestCommits)}</div>
+    </div>
+    ` : ''}
+
     ${commits && commits.length > 0 ? `
     <div class="section">
         <div class="section-title">Commits (${commits.length})</div>
@@ -617,6 +701,13 @@ class PullRequestWebviewProvider {
     </div>
     ` : ''}
 
+    ${unavailable.pullRequestFiles ? `
+    <div class="section">
+        <div class="section-title">Files Changed</div>
+        <div class="scope-note">${this.escapeHtml(unavailable.pullRequestFiles)}</div>
+    </div>
+    ` : ''}
+
     ${files && files.length > 0 ? `
     <div class="section">
         <div class="section-title">Files Changed (${files.length})</div>
@@ -659,11 +750,19 @@ class PullRequestWebviewProvider {
         <div style="margin-top: 16px;">
             <textarea id="commentBody" placeholder="Leave a comment..."></textarea>
             <div class="button-group">
-                <button onclick="addComment()">Add Comment</button>
+                <button onclick="addComment()" ${commentAttrs}>Add Comment</button>
             </div>
+            ${commentBlocked ? `<div class="scope-note">${this.escapeHtml(commentBlocked)}</div>` : ''}
         </div>
     </div>
 
+    ${unavailable.pullRequestReviews ? `
+    <div class="section">
+        <div class="section-title">Reviews</div>
+        <div class="scope-note">${this.escapeHtml(unavailable.pullRequestReviews)}</div>
+    </div>
+    ` : ''}
+
     ${reviews && reviews.length > 0 ? `
     <div class="section">
         <div class="section-title">Reviews (${reviews.length})</div>
@@ -683,20 +782,22 @@ class PullRequestWebviewProvider {
     ${pr.state === 'open' ? `
     <div class="section">
         <div class="section-title">Review Actions</div>
+        ${unavailable.reviewActions ? `<div class="scope-note">${this.escapeHtml(unavailable.reviewActions)}</div>` : `
         <textarea id="reviewBody" placeholder="Leave a review comment (optional)..."></textarea>
         <div class="button-group">
-            <button class="success" onclick="submitReview('APPROVED')">✓ Approve</button>
-            <button onclick="submitReview('COMMENT')">Comment</button>
-            <button class="danger" onclick="submitReview('REQUEST_CHANGES')">Request Changes</button>
+            <button class="success" onclick="submitReview('APPROVED')" ${mergeAttrs}>✓ Approve</button>
+            <button onclick="submitReview('COMMENT')" ${mergeAttrs}>Comment</button>
+            <button class="danger" onclick="submitReview('REQUEST_CHANGES')" ${mergeAttrs}>Request Changes</button>
         </div>
+        ${mergeBlocked ? `<div class="scope-note">${this.escapeHtml(mergeBlocked)}</div>` : ''}`}
     </div>
 
     <div class="actions">
         ${pr.mergeable ? `
-            <button class="success" onclick="mergePR('merge')">Merge Pull Request</button>
-            <button class="secondary" onclick="mergePR('squash')">Squash and Merge</button>
-            <button class="secondary" onclick="mergePR('rebase')">Rebase and Merge</button>
-            <button class="danger" onclick="closePR()">Close PR</button>
+            <button class="success" onclick="mergePR('merge')" ${mergeAttrs}>Merge Pull Request</button>
+            <button class="secondary" onclick="mergePR('squash')" ${mergeAttrs}>Squash and Merge</button>
+            <button class="secondary" onclick="mergePR('rebase')" ${mergeAttrs}>Rebase and Merge</button>
+            <button class="danger" onclick="closePR()" ${mergeAttrs}>Close PR</button>
             <button class="secondary" onclick="createBranch()">Create Branch</button>
             <button class="secondary" onclick="openInBrowser()">Open in Browser</button>
         ` : `
@@ -712,7 +813,7 @@ class PullRequestWebviewProvider {
                         ` : `<div style="color: var(--vscode-descriptionForeground);">Conflicts detected, but the API did not identify specific files. Check the PR on your server or attempt a local merge for exact paths.</div>`}
                     </div>
                 </div>
-                <button class="danger" onclick="closePR()">Close PR</button>
+                <button class="danger" onclick="closePR()" ${mergeAttrs}>Close PR</button>
                 <button class="secondary" onclick="createBranch()">Create Branch</button>
                 <button class="secondary" onclick="openInBrowser()">Open in Browser</button>
             </div>
@@ -948,9 +1049,9 @@ class IssueWebviewProvider {
         this._panels = new Map();
     }
 
-    async showIssue(issueNumber, repository) {
+    async showIssue(issueNumber, repository, profile = null) {
         try {
-            const panelKey = `${repository}#${issueNumber}`;
+            const panelKey = `${profile || ''}:${repository}#${issueNumber}`;
 
             if (this._panels.has(panelKey)) {
                 const panel = this._panels.get(panelKey);
@@ -959,13 +1060,20 @@ class IssueWebviewProvider {
             }
 
             const [owner, repo] = repository.split('/');
-            let issueDetails, comments;
+            let issueDetails, comments, timeline;
+            // Explanations for parts the server cannot provide, keyed by server feature
+            const unavailable = {};
 
             try {
-                [issueDetails, comments] = await Promise.all([
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}`),
-                    this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}/comments`)
+                // The timeline also holds the comments; they are loaded on their own for servers without it
+                [issueDetails, timeline] = await Promise.all([
+                    this.auth.client.getIssue(owner, repo, issueNumber, { profile, priority: 'high' }),
+                    loadOptional(this.auth, 'issueTimeline', 'the timeline', profile, unavailable,
+                        () => this.auth.client.listIssueTimeline(owner, repo, issueNumber, { profile, priority: 'high' }), null)
                 ]);
+                comments = timeline
+                    ? timeline.filter(event => event.type === 'comment')
+                    : await this.auth.client.listComments(owner, repo, issueNumber, { profile, priority: 'high' });
             } catch (error) {
                 vscode.window.showErrorMessage(`Failed to load Issue #${issueNumber}: ${error.message}`);
                 return;
@@ -992,19 +1100,20 @@ class IssueWebviewProvider {
                     try {
                         switch (message.command) {
                             case 'addComment':
-                                await this.addComment(owner, repo, issueNumber, message.body);
+                                if (!(await this.auth.requireFeature('comment'))) break;
+                                await this.addComment(owner, repo, issueNumber, message.body, profile);
                                 break;
                             case 'closeIssue':
-                                await this.closeIssue(owner, repo, issueNumber);
+                                await this.closeIssue(owner, repo, issueNumber, profile);
                                 panel.dispose();
                                 break;
                             case 'reopenIssue':
-                                await this.reopenIssue(owner, repo, issueNumber);
+                                await this.reopenIssue(owner, repo, issueNumber, profile);
                                 panel.dispose();
                                 break;
                             case 'createBranch':
                                 vscode.commands.executeCommand('gitea.createBranchFromIssue', {
-                                    metadata: { repository: `${owner}/${repo}`, number: issueNumber }
+                                    metadata: { repository: `${owner}/${repo}`, number: issueNumber, profile }
                                 });
                                 break;
                             case 'openInBrowser':
@@ -1012,57 +1121,55 @@ class IssueWebviewProvider {
                                 break;
                         }
                     } catch (error) {
-                        console.error('Error handling webview message:', error);
+                        getLogger().error('Error handling webview message:', error);
                         vscode.window.showErrorMessage(`Error: ${error.message}`);
                     }
                 }
             );
 
-            panel.webview.html = this.getIssueHtml(panel.webview, issueDetails, comments);
+            panel.webview.html = this.getIssueHtml(panel.webview, issueDetails, comments, timeline, unavailable);
         } catch (error) {
-            console.error('Failed to show issue:', error);
+            getLogger().error('Failed to show issue:', error);
             vscode.window.showErrorMessage(`Failed to show issue: ${error.message}`);
         }
     }
 
-    async addComment(owner, repo, issueNumber, body) {
+    async addComment(owner, repo, issueNumber, body, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
-                method: 'POST',
-                body: { body }
-            });
+            await this.auth.client.createComment(owner, repo, issueNumber, body, { profile });
             vscode.window.showInformationMessage('Comment added successfully');
-            await this.showIssue(issueNumber, `${owner}/${repo}`);
+            await this.showIssue(issueNumber, `${owner}/${repo}`, profile);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to add comment: ${error.message}`);
         }
     }
 
-    async closeIssue(owner, repo, issueNumber) {
+    async closeIssue(owner, repo, issueNumber, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}`, {
-                method: 'PATCH',
-                body: { state: 'closed' }
-            });
+            await this.auth.client.editIssue(owner, repo, issueNumber, { state: 'closed' }, { profile });
             vscode.window.showInformationMessage(`Issue #${issueNumber} closed successfully`);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to close issue: ${error.message}`);
         }
     }
 
-    async reopenIssue(owner, repo, issueNumber) {
+    async reopenIssue(owner, repo, issueNumber, profile = null) {
         try {
-            await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues/${issueNumber}`, {
-                method: 'PATCH',
-                body: { state: 'open' }
-            });
+            await this.auth.client.editIssue(owner, repo, issueNumber, { state: 'open' }, { profile });
             vscode.window.showInformationMessage(`Issue #${issueNumber} reopened successfully`);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to reopen issue: ${error.message}`);
         }
     }
 
-    getIssueHtml(webview, issue, comments) {
+    /**
+     * @param {vscode.Webview} webview
+     * @param {import('./giteaClient').Issue} issue
+     * @param {import('./giteaClient').Comment[]} comments
+     * @param {import('./giteaClient').TimelineEvent[]|null} [timeline] - Comments and events; null shows the comments only
+     * @param {object} [unavailable] - Explanations for parts the server cannot provide, keyed by server feature
+     */
+    getIssueHtml(webview, issue, comments, timeline = null, unavailable = {}) {
         const stateColor = issue.state === 'open' ? '#3fb950' : '#8957e5';
         const stateIcon = issue.state === 'open' ? '●' : '✓';
         const stateText = issue.state === 'open' ? 'Open' : 'Closed';
@@ -1147,6 +1254,16 @@ class IssueWebviewProvider {
         .comment-body {
             line-height: 1.5;
         }
+        .timeline-event {
+            color: var(--vscode-descriptionForeground);
+            font-size: 13px;
+            margin: 0 0 12px 12px;
+        }
+        .scope-note {
+            color: var(--vscode-descriptionForeground);
+            font-size: 12px;
+            margin: 8px 0;
+        }
         .labels {
             display: flex;
             gap: 6px;
@@ -1308,16 +1425,27 @@ class IssueWebviewProvider {
     ` : ''}
 
     <div class="section">
-        <div class="section-title">Comments (${comments?.length || 0})</div>
-        ${comments && comments.length > 0 ? comments.map(comment => `
+        <div class="section-title">${timeline ? `Activity (${comments.length} comment${comments.length === 1 ? '' : 's'})` : `Comments (${comments?.length || 0})`}</div>
+        ${unavailable.issueTimeline ? `<div class="scope-note">${this.escapeHtml(unavailable.issueTimeline)} Only comments are shown.</div>` : ''}
+        ${(timeline || comments)?.length > 0 ? (timeline || comments).map(entry => {
+            if (entry.type && entry.type !== 'comment') {
+                const description = describeTimelineEvent(entry);
+                return description ? `
+            <div class="timeline-event">
+                <span class="comment-author">${this.escapeHtml(entry.user?.login || 'Unknown')}</span>
+                ${this.escapeHtml(description)}
+                <span class="comment-date">${new Date(entry.created_at).toLocaleString()}</span>
+            </div>` : '';
+            }
+            return `
             <div class="comment">
                 <div class="comment-header">
-                    <span class="comment-author">${comment.user?.login || 'Unknown'}</span>
-                    <span class="comment-date">${new Date(comment.created_at).toLocaleString()}</span>
+                    <span class="comment-author">${entry.user?.login || 'Unknown'}</span>
+                    <span class="comment-date">${new Date(entry.created_at).toLocaleString()}</span>
                 </div>
-                <div class="comment-body markdown-body">${this.renderMarkdown(comment.body || '')}</div>
-            </div>
-        `).join('') : '<p>No comments yet.</p>'}
+                <div class="comment-body markdown-body">${this.renderMarkdown(entry.body || '')}</div>
+            </div>`;
+        }).join('') : '<p>No comments yet.</p>'}
         
         <div style="margin-top: 16px;">
             <textarea id="commentBody" placeholder="Leave a comment..."></textarea>
@@ -1416,7 +1544,7 @@ class IssueWebviewProvider {
             const brightness = (r * 299 + g * 587 + b * 114) / 1000;
             return brightness > 155 ? '#000000' : '#ffffff';
         } catch (error) {
-            console.error('Failed to calculate contrast color:', error);
+            getLogger().error('Failed to calculate contrast color:', error);
             return '#000000';
         }
     }
@@ -1431,7 +1559,13 @@ class IssueWebviewProvider {
         }
     }
 
-    async showCreateIssue(repositories) {
+    /**
+     * Open the issue creation form
+     * @param {object[]} repositories - Repositories to choose from
+     * @param {string|null} [profile] - Profile the repositories were listed with; branches, the duplicate check
+     * and the new issue use it, even if the active profile changes while the form is open
+     */
+    async showCreateIssue(repositories, profile = null) {
         try {
             const panel = vscode.window.createWebviewPanel(
                 'giteaCreateIssue',
@@ -1447,35 +1581,35 @@ class IssueWebviewProvider {
                 try {
                     switch (message.command) {
                         case 'loadBranches':
-                            const branches = await this.loadBranches(message.repository);
+                            const branches = await this.loadBranches(message.repository, profile);
                             panel.webview.postMessage({ command: 'branchesLoaded', branches });
                             break;
                         case 'checkDuplicates':
-                            const duplicates = await this.checkDuplicates(message.repository, message.title, message.body);
+                            const duplicates = await this.checkDuplicates(message.repository, message.title, message.body, profile);
                             panel.webview.postMessage({ command: 'duplicatesChecked', duplicates });
                             break;
                         case 'createIssue':
-                            await this.createIssue(message.data);
+                            await this.createIssue(message.data, profile);
                             panel.dispose();
                             break;
                     }
                 } catch (error) {
-                    console.error('Error handling webview message:', error);
+                    getLogger().error('Error handling webview message:', error);
                     vscode.window.showErrorMessage(`Error: ${error.message}`);
                 }
             });
 
             panel.webview.html = this.getCreateIssueHtml(panel.webview, repositories);
         } catch (error) {
-            console.error('Failed to show create issue form:', error);
+            getLogger().error('Failed to show create issue form:', error);
             vscode.window.showErrorMessage(`Failed to show create issue form: ${error.message}`);
         }
     }
 
-    async loadBranches(repository) {
+    async loadBranches(repository, profile = null) {
         try {
             const [owner, repo] = repository.split('/');
-            const branches = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/branches`);
+            const branches = await this.auth.client.listBranches(owner, repo, { profile });
             return branches.map(b => b.name);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to load branches: ${error.message}`);
@@ -1525,25 +1659,22 @@ class IssueWebviewProvider {
     }
 
     /**
-     * Check for duplicate issues
+     * Check for duplicate issues among the most recent issues of the repository
      */
-    async checkDuplicates(repository, title, body) {
+    async checkDuplicates(repository, title, body, profile = null) {
         try {
             const [owner, repo] = repository.split('/');
-            const existingIssues = await this.auth.makeRequest(
-                `/api/v1/repos/${owner}/${repo}/issues?state=all&limit=100`
-            );
-            
-            if (!Array.isArray(existingIssues) || existingIssues.length === 0) {
-                return [];
-            }
+            const existingIssues = this.auth.client.iterateIssues(owner, repo, { state: 'all', type: 'issues' }, {
+                profile,
+                maxItems: DUPLICATE_SCAN_LIMIT
+            });
 
             const duplicates = [];
             const threshold = 0.7;
             
-            existingIssues.forEach(existingIssue => {
+            for await (const existingIssue of existingIssues) {
                 // Skip pull requests
-                if (existingIssue.pull_request) return;
+                if (existingIssue.pull_request) continue;
                 
                 // Calculate title similarity
                 const titleSimilarity = this.calculateStringSimilarity(title, existingIssue.title);
@@ -1567,19 +1698,21 @@ class IssueWebviewProvider {
                         created_at: existingIssue.created_at,
                         updated_at: existingIssue.updated_at
                     });
+                    // Enough candidates to show; skip the rest of the history
+                    if (duplicates.length >= MAX_DUPLICATES) break;
                 }
-            });
+            }
             
             // Sort by similarity score (highest first)
             duplicates.sort((a, b) => b.similarity - a.similarity);
             return duplicates;
         } catch (error) {
-            console.error('Error checking duplicates:', error);
+            getLogger().error('Error checking duplicates:', error);
             return [];
         }
     }
 
-    async createIssue(data) {
+    async createIssue(data, profile = null) {
         try {
             const [owner, repo] = data.repository.split('/');
 
@@ -1594,10 +1727,7 @@ class IssueWebviewProvider {
                 requestBody.ref = data.branch;
             }
 
-            const result = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/issues`, {
-                method: 'POST',
-                body: requestBody
-            });
+            const result = await this.auth.client.createIssue(owner, repo, requestBody, { profile });
             vscode.window.showInformationMessage(`Issue #${result.number} created successfully!`);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create issue: ${error.message}`);
@@ -1913,7 +2043,13 @@ class PullRequestCreationProvider {
         this.auth = auth;
     }
 
-    async showCreatePullRequest(repositories) {
+    /**
+     * Open the pull request creation form
+     * @param {object[]} repositories - Repositories to choose from
+     * @param {string|null} [profile] - Profile the repositories were listed with; branches and the new pull request
+     * use it, even if the active profile changes while the form is open
+     */
+    async showCreatePullRequest(repositories, profile = null) {
         try {
             const panel = vscode.window.createWebviewPanel(
                 'giteaCreatePR',
@@ -1929,31 +2065,31 @@ class PullRequestCreationProvider {
                 try {
                     switch (message.command) {
                         case 'loadBranches':
-                            const branches = await this.loadBranches(message.repository);
+                            const branches = await this.loadBranches(message.repository, profile);
                             panel.webview.postMessage({ command: 'branchesLoaded', branches });
                             break;
                         case 'createPR':
-                            await this.createPullRequest(message.data);
+                            await this.createPullRequest(message.data, profile);
                             panel.dispose();
                             break;
                     }
                 } catch (error) {
-                    console.error('Error handling webview message:', error);
+                    getLogger().error('Error handling webview message:', error);
                     vscode.window.showErrorMessage(`Error: ${error.message}`);
                 }
             });
 
             panel.webview.html = this.getCreatePRHtml(panel.webview, repositories);
         } catch (error) {
-            console.error('Failed to show create pull request form:', error);
+            getLogger().error('Failed to show create pull request form:', error);
             vscode.window.showErrorMessage(`Failed to show create pull request form: ${error.message}`);
         }
     }
 
-    async loadBranches(repository) {
+    async loadBranches(repository, profile = null) {
         try {
             const [owner, repo] = repository.split('/');
-            const branches = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/branches`);
+            const branches = await this.auth.client.listBranches(owner, repo, { profile });
             return branches.map(b => b.name);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to load branches: ${error.message}`);
@@ -1961,19 +2097,16 @@ class PullRequestCreationProvider {
         }
     }
 
-    async createPullRequest(data) {
+    async createPullRequest(data, profile = null) {
         try {
             const [owner, repo] = data.repository.split('/');
-            const result = await this.auth.makeRequest(`/api/v1/repos/${owner}/${repo}/pulls`, {
-                method: 'POST',
-                body: {
-                    title: data.title,
-                    body: data.body,
-                    head: data.head,
-                    base: data.base,
-                    assignees: data.assignees ? data.assignees.split(',').map(a => a.trim()).filter(Boolean) : []
-                }
-            });
+            const result = await this.auth.client.createPullRequest(owner, repo, {
+                title: data.title,
+                body: data.body,
+                head: data.head,
+                base: data.base,
+                assignees: data.assignees ? data.assignees.split(',').map(a => a.trim()).filter(Boolean) : []
+            }, { profile });
             vscode.window.showInformationMessage(`Pull Request #${result.number} created successfully!`);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create pull request: ${error.message}`);
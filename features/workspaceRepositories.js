@@ -0,0 +1,154 @@
+const vscode = require('vscode');
+const { findGitRepositories, readRemoteUrls, parseRemoteUrl } = require('./gitRemotes');
+
+/**
+ * Git repositories in the open workspace folders and the Gitea repositories their remotes point to.
+ * The disk is scanned once and again only after workspace folders change or a `.git/config` is
+ * edited, so views can resolve repositories on every refresh without rescanning.
+ */
+class WorkspaceRepositories {
+    constructor() {
+        // [{ path, remotes: [{ scheme, host, port, basePath, owner, repo }] }], null until scanned
+        this.repositories = null;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+
+        const configWatcher = vscode.workspace.createFileSystemWatcher('**/.git/config');
+        this.disposables = [
+            this._onDidChange,
+            configWatcher,
+            configWatcher.onDidCreate(() => this.invalidate()),
+            configWatcher.onDidChange(() => this.invalidate()),
+            configWatcher.onDidDelete(() => this.invalidate()),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.invalidate())
+        ];
+    }
+
+    /**
+     * Repositories found in the workspace folders, scanned on first use
+     * @returns {{path: string, remotes: {scheme: string, host: string, port: string, basePath: string, owner: string, repo: string}[]}[]}
+     */
+    getRepositories() {
+        if (!this.repositories) {
+            this.repositories = [];
+            for (const folder of vscode.workspace.workspaceFolders || []) {
+                for (const repoPath of findGitRepositories(folder.uri.fsPath)) {
+                    const remotes = readRemoteUrls(repoPath).map(parseRemoteUrl).filter(Boolean);
+                    this.repositories.push({ path: repoPath, remotes });
+                }
+            }
+        }
+        return this.repositories;
+    }
+
+    /**
+     * Remote hosts of the workspace repositories, one entry per remote
+     * @returns {string[]}
+     */
+    getRemoteHosts() {
+        return this.getRepositories().flatMap(({ remotes }) => remotes.map(remote => remote.host));
+    }
+
+    /**
+     * Keep the API repositories that are cloned in the workspace
+     * @param {object[]} allRepos - Repositories returned by the API
+     * @returns {object[]}
+     */
+    filter(allRepos) {
+        return allRepos.filter(repo => this.findLocalRepository(repo) !== null);
+    }
+
+    /**
+     * Local path of a workspace clone of a repository on an instance
+     * @param {string} fullName - Repository name in format "owner/repo"
+     * @param {string} instanceUrl - URL of the instance hosting it
+     * @returns {string|null}
+     */
+    getRepositoryPath(fullName, instanceUrl) {
+        const [owner, repo] = fullName.split('/');
+        const instance = parseInstanceUrl(instanceUrl);
+        if (!instance) return null;
+        const match = this.getRepositories().find(({ remotes }) => remotes.some(remote =>
+            isOnInstance(remote, instance) && isSameRepository(remote, owner, repo)
+        ));
+        return match ? match.path : null;
+    }
+
+    /**
+     * Local path of the workspace clone of an API repository, matched by host, port, sub-path, owner and name
+     * against the repository's HTTPS and SSH clone URLs
+     * @param {object} repo - Repository returned by the API
+     * @returns {string|null}
+     */
+    findLocalRepository(repo) {
+        const apiRemotes = [repo.clone_url, repo.ssh_url, repo.html_url]
+            .map(url => url && parseRemoteUrl(url))
+            .filter(Boolean);
+
+        const match = this.getRepositories().find(({ remotes }) => remotes.some(remote =>
+            apiRemotes.some(apiRemote => isSameRemote(remote, apiRemote))
+        ));
+        return match ? match.path : null;
+    }
+
+    /**
+     * Forget the scan results; the next lookup scans again
+     */
+    invalidate() {
+        this.repositories = null;
+        this._onDidChange.fire();
+    }
+
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+/**
+ * Gitea owner and repository names are case-insensitive
+ */
+function isSameRepository(remote, owner, repo) {
+    return remote.owner.toLowerCase() === owner?.toLowerCase() && remote.repo.toLowerCase() === repo?.toLowerCase();
+}
+
+/**
+ * Whether two parsed remotes point to the same repository. The HTTPS and SSH URLs of one repository
+ * differ in port and sub-path, so a remote is compared with the API URL of its own kind.
+ */
+function isSameRemote(remote, apiRemote) {
+    return isSsh(remote) === isSsh(apiRemote)
+        && remote.host === apiRemote.host
+        && remote.port === apiRemote.port
+        && remote.basePath.toLowerCase() === apiRemote.basePath.toLowerCase()
+        && isSameRepository(remote, apiRemote.owner, apiRemote.repo);
+}
+
+/**
+ * Whether a remote is served by an instance: HTTP(S) remotes by host, port and sub-path;
+ * SSH remotes by host only, since the SSH port and paths are independent of the web URL
+ */
+function isOnInstance(remote, instance) {
+    if (remote.host !== instance.host) return false;
+    if (isSsh(remote)) return true;
+    return remote.port === instance.port && remote.basePath.toLowerCase() === instance.basePath.toLowerCase();
+}
+
+function isSsh(remote) {
+    return remote.scheme === 'ssh' || remote.scheme === 'git+ssh';
+}
+
+/**
+ * Host, port and sub-path of an instance URL such as `https://example.com/gitea`
+ * @param {string} instanceUrl
+ * @returns {{host: string, port: string, basePath: string}|null}
+ */
+function parseInstanceUrl(instanceUrl) {
+    try {
+        const url = new URL(instanceUrl);
+        return { host: url.hostname.toLowerCase(), port: url.port, basePath: url.pathname.split('/').filter(Boolean).join('/') };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = WorkspaceRepositories;
@@ -0,0 +1,75 @@
+/**
+ * Classification of failed API requests into typed errors
+ */
+const assert = require('assert');
+const {
+    GiteaApiError,
+    AuthError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    CancelledError,
+    parseRetryAfter,
+    createHttpError,
+    createNetworkError
+} = require('../features/errors');
+
+suite('Errors', () => {
+    test('createHttpError maps status codes to error types', function () {
+        assert.ok(createHttpError(401, 'bad token') instanceof AuthError);
+        assert.ok(createHttpError(403, 'forbidden') instanceof AuthError);
+        assert.ok(createHttpError(404, 'missing') instanceof NotFoundError);
+        assert.ok(createHttpError(429, 'slow down') instanceof RateLimitError);
+
+        const serverError = createHttpError(502, 'bad gateway');
+        assert.strictEqual(serverError.constructor, GiteaApiError);
+        assert.strictEqual(serverError.statusCode, 502);
+        assert.strictEqual(serverError.body, 'bad gateway');
+        assert.strictEqual(serverError.message, 'API request failed with status 502: bad gateway');
+    });
+
+    test('Only server errors, rate limits and transient network errors are retryable', function () {
+        assert.strictEqual(createHttpError(500, '').retryable, true);
+        assert.strictEqual(createHttpError(503, '').retryable, true);
+        assert.strictEqual(createHttpError(429, '').retryable, true);
+        assert.strictEqual(createHttpError(400, '').retryable, false);
+        assert.strictEqual(createHttpError(401, '').retryable, false);
+        assert.strictEqual(createHttpError(404, '').retryable, false);
+        assert.strictEqual(createHttpError(422, '').retryable, false);
+
+        assert.strictEqual(new NetworkError('reset', 'ECONNRESET').retryable, true);
+        assert.strictEqual(new NetworkError('timeout', 'ETIMEDOUT').retryable, true);
+        assert.strictEqual(new NetworkError('unknown host', 'ENOTFOUND').retryable, false);
+        assert.strictEqual(new NetworkError('bad certificate', 'CERT_HAS_EXPIRED').retryable, false);
+        assert.strictEqual(new NetworkError('no code').retryable, true);
+        assert.strictEqual(new CancelledError().retryable, false);
+    });
+
+    test('Rate limit errors carry the Retry-After delay', function () {
+        assert.strictEqual(createHttpError(429, '', { 'retry-after': '3' }).retryAfter, 3000);
+        assert.strictEqual(createHttpError(429, '').retryAfter, null);
+    });
+
+    test('parseRetryAfter reads delta seconds and HTTP dates', function () {
+        assert.strictEqual(parseRetryAfter('120'), 120000);
+        assert.strictEqual(parseRetryAfter(' 5 '), 5000);
+        assert.strictEqual(parseRetryAfter(undefined), null);
+        assert.strictEqual(parseRetryAfter('soon'), null);
+        assert.strictEqual(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+
+        const delay = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        assert.ok(delay > 55000 && delay <= 60000, `Unexpected delay ${delay}`);
+    });
+
+    test('createNetworkError wraps the socket error', function () {
+        const cause = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3000'), { code: 'ECONNREFUSED' });
+        const error = createNetworkError(cause);
+        assert.ok(error instanceof NetworkError);
+        assert.ok(error instanceof GiteaApiError);
+        assert.strictEqual(error.code, 'ECONNREFUSED');
+        assert.strictEqual(error.cause, cause);
+        assert.strictEqual(error.statusCode, undefined);
+        assert.strictEqual(error.message, 'Could not reach Gitea: connect ECONNREFUSED 127.0.0.1:3000');
+        assert.strictEqual(error.retryable, true);
+    });
+});
@@ -19,12 +19,16 @@ suite('Extension Tests', () => {
             'gitea.configure',
             'gitea.addProfile',
             'gitea.switchProfile',
+            'gitea.setWorkspaceProfile',
             'gitea.removeProfile',
             // Repository Management
             'gitea.searchRepositories',
             'gitea.refreshRepositories',
             'gitea.createRepository',
             'gitea.openRepository',
+            'gitea.browseRemoteRepository',
+            'gitea.switchRemoteRef',
+            'gitea.cloneRemoteRepository',
             'gitea.openInBrowser',
             // Issue Management
             'gitea.searchIssues',
@@ -34,11 +38,23 @@ suite('Extension Tests', () => {
             'gitea.openIssueInBrowser',
             // Pull Request Management
             'gitea.searchPullRequests',
+            'gitea.filterIssues',
+            'gitea.clearIssueFilter',
+            'gitea.sortIssues',
+            'gitea.groupIssues',
+            'gitea.sortPullRequests',
+            'gitea.groupPullRequests',
+            'gitea.loadMoreIssues',
+            'gitea.loadMorePullRequests',
             'gitea.createPullRequest',
             'gitea.viewPullRequestDetails',
             'gitea.openPullRequestInBrowser',
             // Branch Management
             'gitea.switchBranch',
+            'gitea.checkoutRef',
+            'gitea.compareRef',
+            'gitea.copyRefSha',
+            'gitea.openRefInBrowser',
             'gitea.createBranchFromIssue',
             'gitea.createBranchFromPR',
             'gitea.deleteBranch',
@@ -55,6 +71,8 @@ suite('Extension Tests', () => {
             // Notifications & Other
             'gitea.toggleNotifications',
             'gitea.notificationStatus',
+            'gitea.showLogs',
+            'gitea.reauthenticate',
             'gitea.manageStash'
         ];
 
@@ -0,0 +1,49 @@
+/**
+ * Parsing of git remote URLs into host and repository
+ */
+const assert = require('assert');
+const { getRemoteHost, parseRemoteUrl } = require('../features/gitRemotes');
+
+suite('Git Remotes', () => {
+    test('Parses HTTPS remotes', function () {
+        assert.deepStrictEqual(parseRemoteUrl('https://gitea.example.com/owner/repo.git'), {
+            scheme: 'https', host: 'gitea.example.com', port: '', basePath: '', owner: 'owner', repo: 'repo'
+        });
+        assert.deepStrictEqual(parseRemoteUrl('http://Gitea.Example.com:3000/owner/repo'), {
+            scheme: 'http', host: 'gitea.example.com', port: '3000', basePath: '', owner: 'owner', repo: 'repo'
+        });
+    });
+
+    test('Keeps the sub-path of instances not served from the root', function () {
+        assert.deepStrictEqual(parseRemoteUrl('https://example.com/gitea/owner/repo.git/'), {
+            scheme: 'https', host: 'example.com', port: '', basePath: 'gitea', owner: 'owner', repo: 'repo'
+        });
+    });
+
+    test('Parses ssh:// and scp-like remotes', function () {
+        assert.deepStrictEqual(parseRemoteUrl('ssh://git@gitea.example.com:2222/owner/repo.git'), {
+            scheme: 'ssh', host: 'gitea.example.com', port: '2222', basePath: '', owner: 'owner', repo: 'repo'
+        });
+        assert.deepStrictEqual(parseRemoteUrl('git@gitea.example.com:owner/repo.git'), {
+            scheme: 'ssh', host: 'gitea.example.com', port: '', basePath: '', owner: 'owner', repo: 'repo'
+        });
+    });
+
+    test('Decodes percent-encoded path segments', function () {
+        assert.strictEqual(parseRemoteUrl('https://gitea.example.com/my%20org/repo.git').owner, 'my org');
+    });
+
+    test('Rejects remotes without owner and repository', function () {
+        assert.strictEqual(parseRemoteUrl('https://gitea.example.com/repo.git'), null);
+        assert.strictEqual(parseRemoteUrl('/home/user/repo.git'), null);
+        assert.strictEqual(parseRemoteUrl(''), null);
+        assert.strictEqual(parseRemoteUrl(undefined), null);
+    });
+
+    test('getRemoteHost lower-cases the host of every remote form', function () {
+        assert.strictEqual(getRemoteHost('https://Gitea.Example.com/owner/repo.git'), 'gitea.example.com');
+        assert.strictEqual(getRemoteHost('git@Gitea.Example.com:owner/repo.git'), 'gitea.example.com');
+        assert.strictEqual(getRemoteHost('ssh://git@gitea.example.com:2222/owner/repo.git'), 'gitea.example.com');
+        assert.strictEqual(getRemoteHost('not a url'), null);
+    });
+});
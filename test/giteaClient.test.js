@@ -0,0 +1,72 @@
+/**
+ * List methods of the API client and the page iterator they read
+ */
+const assert = require('assert');
+const GiteaClient = require('../features/giteaClient');
+const { collect } = require('../features/giteaClient');
+
+/**
+ * Stand-in for `GiteaAuth` that serves `items` page by page and records every request
+ */
+function createAuth(items, pageSize = 2) {
+    const requests = [];
+    return {
+        requests,
+        async *paginate(endpoint, { maxItems = Infinity } = {}) {
+            for (let page = 1, yielded = 0; ; page++) {
+                requests.push(`${endpoint} page ${page}`);
+                const pageItems = items.slice((page - 1) * pageSize, page * pageSize);
+                for (const item of pageItems) {
+                    yield item;
+                    if (++yielded >= maxItems) return;
+                }
+                if (pageItems.length < pageSize) return;
+            }
+        },
+        async makeRequest(endpoint) {
+            requests.push(endpoint);
+            return items;
+        }
+    };
+}
+
+suite('GiteaClient', () => {
+    test('List methods read every page through the iterator', async function () {
+        const auth = createAuth([1, 2, 3, 4, 5]);
+        const client = new GiteaClient(auth);
+
+        assert.deepStrictEqual(await client.listMyRepos(), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(auth.requests, [
+            '/api/v1/user/repos page 1',
+            '/api/v1/user/repos page 2',
+            '/api/v1/user/repos page 3'
+        ]);
+    });
+
+    test('maxItems stops list methods without requesting further pages', async function () {
+        const auth = createAuth([1, 2, 3, 4, 5]);
+        const client = new GiteaClient(auth);
+
+        assert.deepStrictEqual(await client.listCommits('owner', 'repo', { sha: 'main' }, { maxItems: 3 }), [1, 2, 3]);
+        assert.deepStrictEqual(auth.requests, [
+            '/api/v1/repos/owner/repo/commits?sha=main page 1',
+            '/api/v1/repos/owner/repo/commits?sha=main page 2'
+        ]);
+    });
+
+    test('Issue comments, which the server does not page, are one request', async function () {
+        const auth = createAuth([1, 2, 3]);
+        const client = new GiteaClient(auth);
+
+        assert.deepStrictEqual(await client.listComments('owner', 'repo', 7), [1, 2, 3]);
+        assert.deepStrictEqual(auth.requests, ['/api/v1/repos/owner/repo/issues/7/comments']);
+    });
+
+    test('collect reads an async iterator into an array', async function () {
+        async function* numbers() {
+            yield 1;
+            yield 2;
+        }
+        assert.deepStrictEqual(await collect(numbers()), [1, 2]);
+    });
+});
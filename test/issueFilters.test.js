@@ -0,0 +1,104 @@
+/**
+ * Issue filters of the Issues view and parsing of issue search text into keywords and qualifiers
+ */
+const assert = require('assert');
+const { describeFilter, isFilterActive, toIssueQuery, parseSearchQuery, runIssueSearch } = require('../features/issueFilters');
+
+suite('Issue Filters', () => {
+    test('Describes filters as qualifiers', function () {
+        const filter = { labels: ['bug'], milestones: ['v1'], assignee: '@me', author: 'alice' };
+        assert.strictEqual(describeFilter(filter), 'label:bug milestone:v1 assignee:@me author:alice');
+        assert.strictEqual(isFilterActive(filter), true);
+        assert.strictEqual(isFilterActive({ labels: [], milestones: [] }), false);
+    });
+
+    test('Builds issue list parameters and resolves @me with the profile', async function () {
+        const profiles = [];
+        const auth = { client: { getCurrentUser: async ({ profile }) => { profiles.push(profile); return { login: 'dana' }; } } };
+
+        assert.deepStrictEqual(await toIssueQuery(auth, { labels: ['bug'], milestones: [], assignee: '@me', mentions: 'erin' }, 'work'), {
+            labels: ['bug'],
+            milestones: undefined,
+            assigned_by: 'dana',
+            created_by: undefined,
+            mentioned_by: 'erin'
+        });
+        assert.deepStrictEqual(profiles, ['work']);
+
+        await toIssueQuery(auth, { author: 'frank' }, 'work');
+        assert.strictEqual(profiles.length, 1, 'Looked up the current user without @me');
+    });
+});
+
+suite('Issue Search Queries', () => {
+    test('Keeps plain text as keywords', function () {
+        assert.deepStrictEqual(parseSearchQuery('login crash'), { keywords: 'login crash', labels: [], milestones: [] });
+        assert.deepStrictEqual(parseSearchQuery(''), { keywords: '', labels: [], milestones: [] });
+    });
+
+    test('Reads known qualifiers', function () {
+        assert.deepStrictEqual(parseSearchQuery('crash is:closed label:bug label:ui milestone:v1 author:alice assignee:@bob mentions:carol repo:owner/name'), {
+            keywords: 'crash',
+            state: 'closed',
+            labels: ['bug', 'ui'],
+            milestones: ['v1'],
+            author: 'alice',
+            assignee: 'bob',
+            mentions: 'carol',
+            repo: 'owner/name'
+        });
+    });
+
+    test('Maps me and @me to the signed-in user', function () {
+        const search = parseSearchQuery('author:me assignee:@me');
+        assert.strictEqual(search.author, '@me');
+        assert.strictEqual(search.assignee, '@me');
+    });
+
+    test('Reads quoted values and phrases', function () {
+        const search = parseSearchQuery('"out of memory" label:"help wanted" milestone:"Release 2"');
+        assert.strictEqual(search.keywords, 'out of memory');
+        assert.deepStrictEqual(search.labels, ['help wanted']);
+        assert.deepStrictEqual(search.milestones, ['Release 2']);
+    });
+
+    test('Accepts state qualifiers in any case and ignores type qualifiers', function () {
+        assert.strictEqual(parseSearchQuery('IS:Open').state, 'open');
+        assert.strictEqual(parseSearchQuery('state:all').state, 'all');
+
+        const search = parseSearchQuery('is:pr is:issue bug');
+        assert.strictEqual(search.state, undefined);
+        assert.strictEqual(search.keywords, 'bug');
+    });
+
+    test('Keeps unknown qualifiers and states as keywords', function () {
+        const search = parseSearchQuery('sort:updated is:draft fix');
+        assert.strictEqual(search.keywords, 'sort:updated is:draft fix');
+        assert.strictEqual(search.state, undefined);
+    });
+
+    test('Searches every accessible repository when a qualifier names another user', async function () {
+        const searched = [];
+        const auth = {
+            client: {
+                listMyRepos: async () => [
+                    { name: 'app', owner: { login: 'acme' } },
+                    { name: 'wiki', owner: { login: 'acme' }, has_issues: false },
+                    { name: 'tools', owner: { login: 'dana' }, has_issues: true }
+                ],
+                iterateIssues: async function* (owner, name, params, options) {
+                    searched.push({ repo: `${owner}/${name}`, createdBy: params.created_by, maxItems: options.maxItems });
+                    yield { number: 1, updated_at: name === 'app' ? '2024-01-01T00:00:00Z' : '2024-02-01T00:00:00Z' };
+                    yield { number: 2, updated_at: '2023-12-01T00:00:00Z' };
+                }
+            }
+        };
+
+        const results = await runIssueSearch(auth, parseSearchQuery('crash author:bob'), 'issues', 'work', { maxItems: 3 });
+        assert.deepStrictEqual(searched, [
+            { repo: 'acme/app', createdBy: 'bob', maxItems: 3 },
+            { repo: 'dana/tools', createdBy: 'bob', maxItems: 3 }
+        ]);
+        assert.deepStrictEqual(results.map(result => `${result.repoName}#${result.issue.number}`), ['dana/tools#1', 'acme/app#1', 'acme/app#2']);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Response cache eviction and revalidation, and the request scheduler's ordering and cancellation
+ */
+const assert = require('assert');
+const { CacheManager, RequestScheduler } = require('../features/performanceOptimizer');
+const { CancelledError } = require('../features/errors');
+
+/**
+ * Move an entry's timestamp into the past so its TTL has passed
+ */
+function expire(cache, key) {
+    cache.cache.get(key).timestamp -= cache.cache.get(key).ttl + 1;
+}
+
+suite('CacheManager', () => {
+    test('Evicts the least recently used entry over the entry cap', function () {
+        const cache = new CacheManager(60000, { maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.strictEqual(cache.get('a'), 1);
+        cache.set('c', 3);
+
+        assert.strictEqual(cache.get('b'), null);
+        assert.strictEqual(cache.get('a'), 1);
+        assert.strictEqual(cache.get('c'), 3);
+    });
+
+    test('Evicts entries over the size cap and skips values larger than it', function () {
+        const cache = new CacheManager(60000, { maxSize: 100 });
+        cache.set('a', 'x', { size: 40 });
+        cache.set('b', 'y', { size: 40 });
+        cache.set('c', 'z', { size: 40 });
+
+        assert.strictEqual(cache.get('a'), null);
+        assert.strictEqual(cache.size, 80);
+
+        cache.set('huge', 'w', { size: 101 });
+        assert.strictEqual(cache.get('huge'), null);
+        assert.strictEqual(cache.get('b'), 'y');
+        assert.strictEqual(cache.size, 80);
+    });
+
+    test('Evicts expired entries before recently used ones', function () {
+        const cache = new CacheManager(60000, { maxEntries: 2 });
+        cache.set('old', 1);
+        cache.set('stale', 2, { ttl: 10 });
+        expire(cache, 'stale');
+        cache.get('old');
+        cache.set('new', 3);
+
+        assert.strictEqual(cache.get('old'), 1);
+        assert.strictEqual(cache.get('new'), 3);
+        assert.strictEqual(cache.cache.has('stale'), false);
+    });
+
+    test('Drops expired entries without validators', function () {
+        const cache = new CacheManager(10);
+        cache.set('key', 'value');
+        expire(cache, 'key');
+
+        assert.strictEqual(cache.get('key'), null);
+        assert.strictEqual(cache.getValidated('key'), null);
+        assert.strictEqual(cache.size, 0);
+    });
+
+    test('Keeps expired entries with validators for revalidation', function () {
+        const cache = new CacheManager(10);
+        cache.set('key', ['value'], { etag: 'W/"1"' });
+        expire(cache, 'key');
+
+        assert.strictEqual(cache.get('key'), null);
+        const stale = cache.getValidated('key');
+        assert.deepStrictEqual(stale.value, ['value']);
+        assert.strictEqual(stale.etag, 'W/"1"');
+        assert.strictEqual(stale.lastModified, null);
+
+        // 304 Not Modified
+        cache.revalidate('key');
+        assert.deepStrictEqual(cache.get('key'), ['value']);
+    });
+
+    test('Invalidates entries matching a predicate', function () {
+        const cache = new CacheManager(60000);
+        cache.set('/repos/a/b/issues', 1);
+        cache.set('/repos/a/b/pulls', 2);
+        cache.set('/user', 3);
+        cache.invalidate(key => key.startsWith('/repos/a/b/'));
+
+        assert.strictEqual(cache.get('/repos/a/b/issues'), null);
+        assert.strictEqual(cache.get('/repos/a/b/pulls'), null);
+        assert.strictEqual(cache.get('/user'), 3);
+    });
+});
+
+suite('RequestScheduler', () => {
+    /**
+     * A task that resolves when `release()` is called
+     */
+    function createBlocker() {
+        let release;
+        const promise = new Promise(resolve => release = resolve);
+        return { task: () => promise, release };
+    }
+
+    test('Runs at most `concurrency` tasks at once', async function () {
+        const scheduler = new RequestScheduler(2);
+        const blockers = [createBlocker(), createBlocker(), createBlocker()];
+        const results = blockers.map((blocker, i) => scheduler.schedule(() => blocker.task().then(() => i)));
+
+        await Promise.resolve();
+        assert.strictEqual(scheduler.running, 2);
+        assert.strictEqual(scheduler.queues.normal.length, 1);
+
+        blockers.forEach(blocker => blocker.release());
+        assert.deepStrictEqual(await Promise.all(results), [0, 1, 2]);
+        assert.strictEqual(scheduler.running, 0);
+    });
+
+    test('Starts queued tasks by priority, then in scheduling order', async function () {
+        const scheduler = new RequestScheduler(1);
+        const blocker = createBlocker();
+        const started = [];
+        const record = name => () => started.push(name);
+
+        const running = scheduler.schedule(blocker.task);
+        const queued = [
+            scheduler.schedule(record('low'), 'low'),
+            scheduler.schedule(record('normal 1')),
+            scheduler.schedule(record('high'), 'high'),
+            scheduler.schedule(record('normal 2'), 'normal')
+        ];
+        blocker.release();
+        await Promise.all([running, ...queued]);
+
+        assert.deepStrictEqual(started, ['high', 'normal 1', 'normal 2', 'low']);
+    });
+
+    test('Removes a queued task when its signal aborts', async function () {
+        const scheduler = new RequestScheduler(1);
+        const blocker = createBlocker();
+        const controller = new AbortController();
+        let ran = false;
+
+        const running = scheduler.schedule(blocker.task);
+        const cancelled = scheduler.schedule(() => { ran = true; }, 'normal', controller.signal);
+        controller.abort();
+
+        await assert.rejects(cancelled, CancelledError);
+        assert.strictEqual(scheduler.queues.normal.length, 0);
+        blocker.release();
+        await running;
+        assert.strictEqual(ran, false);
+    });
+
+    test('Rejects a task whose signal is already aborted', async function () {
+        const scheduler = new RequestScheduler(1);
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(scheduler.schedule(() => 'result', 'high', controller.signal), CancelledError);
+        assert.strictEqual(scheduler.running, 0);
+    });
+
+    test('Passes task failures through and frees the slot', async function () {
+        const scheduler = new RequestScheduler(1);
+
+        await assert.rejects(scheduler.schedule(() => Promise.reject(new Error('failed'))), /failed/);
+        assert.strictEqual(await scheduler.schedule(() => 'next'), 'next');
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Grouping of the Issues view and its paged lists: the Closed section of each repository and saved query results
+ */
+const assert = require('assert');
+const { IssueProvider } = require('../features/treeProviders');
+
+/**
+ * In-memory stand-in for `ExtensionContext.workspaceState`
+ */
+function createState(values = {}) {
+    const store = new Map(Object.entries(values));
+    return {
+        get: key => store.get(key),
+        update: async (key, value) => { store.set(key, value); }
+    };
+}
+
+/**
+ * Stand-in for `GiteaAuth` with one workspace repository, serving paged lists two issues per page
+ */
+function createAuth(openIssues, pagedIssues) {
+    const repo = { name: 'app', full_name: 'acme/app', owner: { login: 'acme' } };
+    return {
+        isConfigured: () => true,
+        getWorkspaceProfiles: async () => ['work'],
+        workspaceRepositories: { filter: repos => repos },
+        client: {
+            listMyRepos: async () => [repo],
+            iterateIssues: async function* () {
+                yield* openIssues;
+            },
+            getIssuePage: async (owner, name, params, page, { pageSize = 2 } = {}) => ({
+                items: pagedIssues.slice((page - 1) * pageSize, page * pageSize),
+                total: pagedIssues.length,
+                pageSize
+            })
+        }
+    };
+}
+
+function issue(number, state, data = {}) {
+    return { number, state, title: `Issue ${number}`, user: { login: 'alice' }, ...data };
+}
+
+const labels = nodes => nodes.map(node => node.label);
+
+suite('Issues View', () => {
+    test('Closed issues keep their own paged section when grouping by label', async function () {
+        const bug = [{ name: 'bug' }];
+        const auth = createAuth(
+            [issue(1, 'open', { labels: bug, comments: 1 }), issue(2, 'open')],
+            [issue(10, 'closed', { labels: bug, comments: 0 }), issue(11, 'closed', { labels: bug, comments: 9 }), issue(12, 'closed', { comments: 20 })]
+        );
+        const provider = new IssueProvider(auth, createState({ 'gitea.viewOptions.gitea.issues': { sort: 'comments', groupBy: 'label' } }));
+
+        const [repoGroup] = await provider.getChildren();
+        const groups = await provider.getChildren(repoGroup);
+        // Only open issues are grouped; the closed issue labelled "bug" is not counted under "bug"
+        assert.deepStrictEqual(labels(groups), ['bug (1)', 'No label (1)', 'Closed (3)']);
+
+        const closedGroup = groups[2];
+        let closed = await provider.getChildren(closedGroup);
+        assert.deepStrictEqual(labels(closed), ['#11: Issue 11', '#10: Issue 10', 'Load more… (1 more)']);
+
+        // The sort order covers the loaded pages, so a later page can put an item in front
+        await provider.loadMore(closedGroup);
+        closed = await provider.getChildren(closedGroup);
+        assert.deepStrictEqual(labels(closed), ['#12: Issue 12', '#11: Issue 11', '#10: Issue 10']);
+    });
+
+    test('Saved queries load a page at a time and drop pull requests after paging', async function () {
+        const auth = createAuth([], [issue(1, 'open'), issue(2, 'open', { pull_request: {} }), issue(3, 'open'), issue(4, 'open'), issue(5, 'open')]);
+        const provider = new IssueProvider(auth, createState());
+        const queryNode = { contextValue: 'issueQuery', id: 'query:Bugs', query: { name: 'Bugs', labels: ['bug'] } };
+
+        const [repoGroup] = await provider.getChildren(queryNode);
+        assert.strictEqual(repoGroup.label, 'acme/app (5)');
+        assert.deepStrictEqual(labels(await provider.getChildren(repoGroup)), ['#1: Issue 1', 'Load more… (3 more)']);
+
+        await provider.loadMore(repoGroup);
+        await provider.loadMore(repoGroup);
+        assert.deepStrictEqual(labels(await provider.getChildren(repoGroup)), ['#1: Issue 1', '#3: Issue 3', '#4: Issue 4', '#5: Issue 5']);
+    });
+});
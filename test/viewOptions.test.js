@@ -0,0 +1,111 @@
+/**
+ * Sorting and grouping of the Issues and Pull Requests views
+ */
+const assert = require('assert');
+const ViewOptions = require('../features/viewOptions');
+
+/**
+ * In-memory stand-in for `ExtensionContext.workspaceState`
+ */
+function createState(values = {}) {
+    const store = new Map(Object.entries(values));
+    return {
+        get: key => store.get(key),
+        update: async (key, value) => { store.set(key, value); }
+    };
+}
+
+function issueItem(number, data = {}) {
+    return { label: `#${number}`, issue: { number, ...data } };
+}
+
+const numbers = items => items.map(item => (item.issue || item.pullRequest).number);
+
+suite('View Options', () => {
+    test('Defaults to server order grouped by state', function () {
+        const options = new ViewOptions(createState(), 'gitea.issues');
+        const items = [issueItem(2), issueItem(1)];
+
+        assert.strictEqual(options.sort, 'default');
+        assert.strictEqual(options.groupBy, 'state');
+        assert.strictEqual(options.sortItems(items), items);
+    });
+
+    test('Stores options per view', async function () {
+        const state = createState();
+        const issues = new ViewOptions(state, 'gitea.issues');
+        await issues.update({ sort: 'comments' });
+        await issues.update({ groupBy: 'label' });
+
+        assert.strictEqual(issues.sort, 'comments');
+        assert.strictEqual(issues.groupBy, 'label');
+        assert.strictEqual(new ViewOptions(state, 'gitea.pullRequests').sort, 'default');
+    });
+
+    test('Sorts by creation, update and comment count, newest or most first', function () {
+        const items = [
+            issueItem(1, { created_at: '2024-01-01T00:00:00Z', updated_at: '2024-03-01T00:00:00Z', comments: 5 }),
+            issueItem(2, { created_at: '2024-02-01T00:00:00Z', updated_at: '2024-01-15T00:00:00Z', comments: 0 }),
+            issueItem(3, { created_at: '2023-12-01T00:00:00Z', updated_at: '2024-02-01T00:00:00Z', comments: 12 })
+        ];
+        const sortBy = sort => numbers(new ViewOptions(createState({ 'gitea.viewOptions.gitea.issues': { sort } }), 'gitea.issues').sortItems(items));
+
+        assert.deepStrictEqual(sortBy('created'), [2, 1, 3]);
+        assert.deepStrictEqual(sortBy('updated'), [1, 3, 2]);
+        assert.deepStrictEqual(sortBy('comments'), [3, 1, 2]);
+        // The input order is left alone
+        assert.deepStrictEqual(numbers(items), [1, 2, 3]);
+    });
+
+    test('Sorts by due date, soonest first and undated last', function () {
+        const options = new ViewOptions(createState({ 'gitea.viewOptions.gitea.issues': { sort: 'due' } }), 'gitea.issues');
+        const items = [
+            issueItem(1),
+            issueItem(2, { due_date: '2024-06-01T00:00:00Z' }),
+            issueItem(3, { due_date: '2024-05-01T00:00:00Z' })
+        ];
+
+        assert.deepStrictEqual(numbers(options.sortItems(items)), [3, 2, 1]);
+    });
+
+    test('Groups by label with items under each of their labels', function () {
+        const options = new ViewOptions(createState({ 'gitea.viewOptions.gitea.issues': { groupBy: 'label' } }), 'gitea.issues');
+        const groups = options.groupItems([
+            issueItem(1, { labels: [{ name: 'ui' }, { name: 'bug' }] }),
+            issueItem(2),
+            issueItem(3, { labels: [{ name: 'bug' }] })
+        ]);
+
+        assert.deepStrictEqual(groups.map(group => [group.name, numbers(group.items)]), [
+            ['bug', [1, 3]],
+            ['ui', [1]],
+            ['No label', [2]]
+        ]);
+    });
+
+    test('Groups pull requests by assignee, milestone and author', function () {
+        const pullRequest = (number, data) => ({ pullRequest: { number, ...data } });
+        const items = [
+            pullRequest(1, { assignee: { login: 'bob' }, milestone: { title: 'v2' }, user: { login: 'carol' } }),
+            pullRequest(2, { assignees: [{ login: 'alice' }, { login: 'bob' }], user: { login: 'alice' } }),
+            pullRequest(3, { assignees: [] })
+        ];
+        const groupBy = by => new ViewOptions(createState({ 'gitea.viewOptions.gitea.pullRequests': { groupBy: by } }), 'gitea.pullRequests')
+            .groupItems(items)
+            .map(group => [group.name, numbers(group.items)]);
+
+        assert.deepStrictEqual(groupBy('assignee'), [['alice', [2]], ['bob', [1, 2]], ['Unassigned', [3]]]);
+        assert.deepStrictEqual(groupBy('milestone'), [['v2', [1]], ['No milestone', [2, 3]]]);
+        assert.deepStrictEqual(groupBy('author'), [['alice', [2]], ['carol', [1]], ['Unknown', [3]]]);
+    });
+
+    test('Sorts the items within each group', function () {
+        const options = new ViewOptions(createState({ 'gitea.viewOptions.gitea.issues': { sort: 'comments', groupBy: 'author' } }), 'gitea.issues');
+        const groups = options.groupItems([
+            issueItem(1, { user: { login: 'alice' }, comments: 1 }),
+            issueItem(2, { user: { login: 'alice' }, comments: 4 })
+        ]);
+
+        assert.deepStrictEqual(numbers(groups[0].items), [2, 1]);
+    });
+});